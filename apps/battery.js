@@ -1,5 +1,5 @@
 /**
- * Gnokestation Battery & Charging System Monitor v3.0
+ * Gnokestation Battery & Charging System Monitor v3.1
  * Production-ready module for electrical system health monitoring
  * 
  * Features:
@@ -8,19 +8,50 @@
  * - Battery health trending and alerts
  * - Voltage drop detection under load
  * - Alternator performance analysis
+ * - Guided crank test: samples ATRV / PID 0142 as fast as the adapter
+ *   allows while the engine starts, grades the battery from the dip
+ *   and keeps the results per vehicle
+ * - Guided charging system test: resting, idle, idle under load and
+ *   2000 RPM, each held for a few seconds and checked against live RPM
  */
 
 (() => {
+    const CRANK_KEY = 'gnoke_obd2_crank_tests';
+    const MAX_STORED_TESTS = 10;     // Per vehicle
+    const CRANK_DROP = 0.5;          // Volts below resting that mark the start of cranking
+    const CRANK_TIMEOUT = 20000;     // Give up if nobody cranks within 20s
+    const START_TIMEOUT = 10000;     // Cranking this long without recovery = no start
+    const RECOVERY_TAIL = 3000;      // Keep sampling after recovery to show the charge rise
+    const RESTING_SAMPLES = 5;
+
+    // Minimum cranking voltage grades for a 12V battery
+    const CRANK_GRADES = [
+        { min: 10.5, label: 'Good', color: 'var(--green)', detail: 'Holds voltage well under starter load' },
+        { min: 9.6, label: 'Weak', color: 'var(--orange)', detail: 'Marginal - likely to struggle in cold weather' },
+        { min: 0, label: 'Replace', color: 'var(--red)', detail: 'Voltage collapses under starter load' }
+    ];
+
+    // Charging system test steps, each held HOLD_TIME with RPM in range
+    const CHARGE_STEPS = [
+        { id: 'resting', label: 'Resting voltage', instruction: 'Engine off, ignition on, all electrical loads off', rpm: [0, 0] },
+        { id: 'idle', label: 'Idle, no load', instruction: 'Start the engine and let it idle with all loads off', rpm: [500, 1100] },
+        { id: 'idleLoad', label: 'Idle, high load', instruction: 'Keep idling and turn on headlights (high beam), blower on max and rear defrost', rpm: [500, 1100] },
+        { id: 'rpm2000', label: '2000 RPM, high load', instruction: 'Keep the loads on and hold the engine at 2000 RPM', rpm: [1800, 2200] }
+    ];
+    const HOLD_TIME = 5000;
+    const CHARGE_LIMITS = {
+        charging: 13.2,     // Below this with the engine running = not charging
+        loadedIdle: 13.0,   // Minimum at idle with heavy loads
+        loaded2000: 13.5    // Minimum at 2000 RPM with heavy loads
+    };
+
     const BatteryApp = {
         id: 'battery',
-        updateInterval: null,
         pollingRate: 5000, // 0.2Hz - battery voltage changes very slowly
         isActive: false,
         
         // Feature detection and state
         supported: true,
-        consecutiveErrors: 0,
-        maxErrors: 3,
         
         // Historical data for trend analysis
         voltageHistory: [],
@@ -40,56 +71,48 @@
         lastAlertVoltage: null,
         engineRunning: false,
 
+        // Charging system test: { step, armed, holdStart, samples, readings, live, report }
+        chargeTest: null,
+
+        // Crank test
+        crankTest: null,    // { running, phase, source, resting, samples, result }
+        crankHistory: [],   // Stored results for the connected vehicle
+        crankVIN: null,
+
         /**
          * Initialize module
          */
         init() {
             System.log('Battery', 'Initializing Battery Monitor...');
             
-            this.updateInterval = setInterval(() => this.tick(), this.pollingRate);
+            System.activeApps.scheduler.subscribe({
+                id: this.id,
+                pids: ['BATTERY'],
+                interval: this.pollingRate,
+                priority: 'low',
+                when: () => this.isActive && document.getElementById('dash')?.classList.contains('active'),
+                onData: (values) => this.handleVoltage(values.BATTERY),
+                simulate: () => this.handleVoltage(this.generateSimData())
+            });
             
             System.log('Battery', `✓ Ready (${this.pollingRate}ms polling)`);
         },
 
         /**
-         * Intelligent polling cycle
+         * Scheduler delivered a fresh voltage reading
+         * (the dashboard BATTERY slot handles the display)
          */
-        async tick() {
-            const isDashVisible = document.getElementById('dash')?.classList.contains('active');
-            const isConnected = window.obd?.connected || window.isSimulating;
-            
-            if (!isDashVisible || !isConnected || !this.isActive) return;
-            
-            if (this.consecutiveErrors >= this.maxErrors) {
-                if (this.consecutiveErrors === this.maxErrors) {
-                    System.log('Battery', 'Module disabled - PID 0142 not supported');
-                    this.consecutiveErrors++;
-                }
-                return;
-            }
+        handleVoltage(voltage) {
+            if (voltage === null) return;
 
-            await this.update();
+            this.recordVoltage(voltage);
+            this.analyze(voltage);
         },
 
-        /**
-         * Main update cycle
-         */
-        async update() {
-            if (window.isSimulating) {
-                this.render(this.generateSimData());
-                return;
-            }
-
-            try {
-                const voltage = await this.fetchVoltage();
-                if (voltage !== null) {
-                    this.render(voltage);
-                    this.analyze(voltage);
-                    this.consecutiveErrors = 0;
-                }
-            } catch (err) {
-                this.consecutiveErrors++;
-                System.log('Battery', `Poll error (${this.consecutiveErrors}/${this.maxErrors}): ${err.message}`);
+        recordVoltage(voltage) {
+            this.voltageHistory.push(voltage);
+            if (this.voltageHistory.length > this.maxHistoryLength) {
+                this.voltageHistory.shift();
             }
         },
 
@@ -97,20 +120,14 @@
          * Fetch battery voltage from hardware
          */
         async fetchVoltage() {
-            if (!this.supported) return null;
+            if (!this.supported || !window.isPIDSupported(PIDS.BATTERY.code)) return null;
 
             try {
                 const raw = await window.obd.sendCommand(PIDS.BATTERY.code);
                 const bytes = window.parseOBDResponse(raw, '4142');
                 const voltage = PIDS.BATTERY.parse(bytes);
                 
-                if (voltage !== null) {
-                    // Add to history
-                    this.voltageHistory.push(voltage);
-                    if (this.voltageHistory.length > this.maxHistoryLength) {
-                        this.voltageHistory.shift();
-                    }
-                }
+                if (voltage !== null) this.recordVoltage(voltage);
                 
                 return voltage;
             } catch (err) {
@@ -120,51 +137,6 @@
             }
         },
 
-        /**
-         * Update UI with battery data
-         */
-        render(voltage) {
-            if (voltage === null) return;
-
-            // Update numeric display
-            const battValEl = document.getElementById('batt-val');
-            if (battValEl) {
-                battValEl.textContent = voltage.toFixed(2);
-            }
-
-            // Update circular gauge
-            const battRing = document.getElementById('batt-ring');
-            if (battRing) {
-                // Map voltage to percentage (11V = 0%, 15V = 100%)
-                const minV = 11;
-                const maxV = 15;
-                const percentage = Math.min(Math.max((voltage - minV) / (maxV - minV), 0), 1);
-                const circumference = 157;
-                const dasharray = `${circumference * percentage} ${circumference}`;
-                battRing.setAttribute('stroke-dasharray', dasharray);
-                
-                // Color code by health
-                if (voltage < this.thresholds.criticalLow || voltage > this.thresholds.criticalHigh) {
-                    battRing.setAttribute('stroke', 'var(--red)');
-                } else if (voltage < this.thresholds.warningLow || voltage > this.thresholds.warningHigh) {
-                    battRing.setAttribute('stroke', 'var(--orange)');
-                } else {
-                    battRing.setAttribute('stroke', 'var(--green)');
-                }
-            }
-
-            // Update text color
-            if (battValEl) {
-                if (voltage < this.thresholds.criticalLow || voltage > this.thresholds.criticalHigh) {
-                    battValEl.style.color = 'var(--red)';
-                } else if (voltage < this.thresholds.warningLow || voltage > this.thresholds.warningHigh) {
-                    battValEl.style.color = 'var(--orange)';
-                } else {
-                    battValEl.style.color = 'var(--accent)';
-                }
-            }
-        },
-
         /**
          * Intelligent battery system analysis
          */
@@ -239,6 +211,570 @@
             }
         },
 
+        /**
+         * Guided crank test
+         * 1. Confirm the engine is off and measure resting voltage
+         * 2. Ask the user to start the engine and sample until it recovers
+         * 3. Grade the minimum voltage and store the result for this vehicle
+         */
+        async runCrankTest() {
+            if (this.crankTest?.running) return;
+            if (!window.obd?.connected) {
+                alert('Connect to the vehicle first.');
+                return;
+            }
+
+            const rpm = await System.activeApps.diagnostics?.readRPM();
+            if (rpm > 0) {
+                alert('Engine is running - switch it off (ignition on) and try again.');
+                return;
+            }
+            if (rpm === null && !confirm('Could not confirm the engine is off.\n\nContinue only if it is off with the ignition on.')) return;
+
+            const source = this.crankSource();
+            if (!source) {
+                alert('This adapter and vehicle report no voltage (ATRV / PID 0142).');
+                return;
+            }
+
+            const test = { running: true, phase: 'resting', source, resting: null, samples: [], result: null };
+            this.crankTest = test;
+            this.renderCrankTest();
+            System.log('Battery', `Crank test started (${source})`);
+
+            try {
+                // Resting voltage
+                const resting = [];
+                for (let i = 0; i < RESTING_SAMPLES && test.running; i++) {
+                    const v = await this.readCrankVoltage(source, 0);
+                    if (v !== null) resting.push(v);
+                }
+                if (!test.running) return;
+                if (resting.length === 0) throw new Error('No voltage reading');
+                test.resting = resting.reduce((a, b) => a + b) / resting.length;
+
+                // Crank and recovery
+                test.phase = 'waiting';
+                this.renderCrankTest();
+                await this.sampleCrank(test);
+                if (!test.running) return;
+
+                test.result = this.gradeCrank(test);
+                test.phase = 'done';
+                if (test.result.started) {
+                    await this.storeCrankResult(test.result);
+                    System.log('Battery', `✓ Crank test: ${test.result.minimum.toFixed(2)}V minimum - ${test.result.grade}`);
+                } else {
+                    System.log('Battery', '⚠️ Crank test: no crank or no start detected');
+                }
+            } catch (err) {
+                test.phase = 'error';
+                test.error = err.message;
+                System.log('Battery', `Crank test error: ${err.message}`);
+            } finally {
+                test.running = false;
+            }
+            this.renderCrankTest();
+        },
+
+        cancelCrankTest() {
+            if (!this.crankTest?.running) return;
+            this.crankTest.running = false;
+            this.crankTest = null;
+            System.log('Battery', 'Crank test cancelled');
+            this.renderCrankTest();
+        },
+
+        /**
+         * ATRV is measured by the adapter itself and keeps answering while
+         * the ECU browns out during cranking, so it is preferred over PID 0142
+         * @returns {string|null} - 'ATRV' | 'PID 0142'
+         */
+        crankSource() {
+            if (window.isSimulating) return 'ATRV';
+            if (System.activeApps.kernel?.adapterInfo?.commands?.ATRV) return 'ATRV';
+            if (this.supported && window.isPIDSupported(PIDS.BATTERY.code)) return 'PID 0142';
+            return null;
+        },
+
+        /**
+         * One voltage sample, null when the read failed
+         * @param {number} elapsed - ms since the crank prompt (demo curve)
+         */
+        async readCrankVoltage(source, elapsed) {
+            if (window.isSimulating) {
+                await new Promise(r => setTimeout(r, 150));
+                return this.generateCrankSample(elapsed);
+            }
+            try {
+                if (source === 'ATRV') {
+                    const match = (await window.obd.sendCommand('ATRV', 1000)).match(/(\d+(\.\d+)?)/);
+                    return match ? parseFloat(match[1]) : null;
+                }
+                const raw = await window.obd.sendCommand(PIDS.BATTERY.code, 1000);
+                return PIDS.BATTERY.parse(window.parseOBDResponse(raw, '4142'));
+            } catch (err) {
+                return null; // ECU dropped out mid-crank - keep going
+            }
+        },
+
+        /**
+         * Sample back to back from the crank prompt until the voltage recovers
+         * Requests go through the kernel queue, so this runs as fast as its
+         * inter-command delay allows
+         */
+        async sampleCrank(test) {
+            const started = Date.now();
+            let crankAt = null;
+            let recoveredAt = null;
+
+            while (test.running) {
+                const t = Date.now() - started;
+                const v = await this.readCrankVoltage(test.source, t);
+                if (v !== null) test.samples.push({ t, v });
+
+                if (crankAt === null) {
+                    if (v !== null && v < test.resting - CRANK_DROP) {
+                        crankAt = t;
+                        test.phase = 'cranking';
+                    } else if (t > CRANK_TIMEOUT) {
+                        break;
+                    }
+                } else if (recoveredAt === null) {
+                    if (v !== null && v >= test.resting) {
+                        recoveredAt = t;
+                        test.phase = 'recovering';
+                    } else if (t - crankAt > START_TIMEOUT) {
+                        break;
+                    }
+                } else if (t - recoveredAt > RECOVERY_TAIL) {
+                    break;
+                }
+
+                this.renderCrankLive(test, v);
+            }
+        },
+
+        /**
+         * Dip, timing and grade from the captured curve
+         */
+        gradeCrank(test) {
+            const { resting, samples } = test;
+            const threshold = resting - CRANK_DROP;
+            const crankIndex = samples.findIndex(s => s.v < threshold);
+            const started = crankIndex >= 0 && samples.slice(crankIndex).some(s => s.v >= resting);
+
+            const result = {
+                vin: this.crankVIN,
+                timestamp: Date.now(),
+                source: test.source,
+                resting,
+                started,
+                samples
+            };
+            if (crankIndex < 0) return result;
+
+            const min = samples.slice(crankIndex).reduce((low, s) => s.v < low.v ? s : low);
+            const recovery = samples.slice(crankIndex).find(s => s.v >= resting);
+            const grade = CRANK_GRADES.find(g => min.v >= g.min);
+
+            return {
+                ...result,
+                minimum: min.v,
+                dipTime: min.t - samples[crankIndex].t,
+                recoveryTime: recovery ? recovery.t - min.t : null,
+                afterStart: samples[samples.length - 1].v,
+                // 9.0V and below = 0%, 11.0V and above = 100%
+                health: Math.round(Math.min(Math.max((min.v - 9.0) / 2.0, 0), 1) * 100),
+                grade: grade.label,
+                lowResting: resting < 12.2
+            };
+        },
+
+        /**
+         * Crank results are kept per VIN in localStorage, newest first
+         */
+        loadCrankHistory() {
+            try {
+                return JSON.parse(localStorage.getItem(CRANK_KEY)) || {};
+            } catch (err) {
+                return {};
+            }
+        },
+
+        async storeCrankResult(result) {
+            const vin = await System.activeApps.vin?.identify?.() || 'UNKNOWN';
+            result.vin = vin;
+            this.crankVIN = vin;
+
+            const all = this.loadCrankHistory();
+            all[vin] = [result, ...(all[vin] || [])].slice(0, MAX_STORED_TESTS);
+            localStorage.setItem(CRANK_KEY, JSON.stringify(all));
+            this.crankHistory = all[vin];
+        },
+
+        /**
+         * Battery view: current crank test and earlier results for this vehicle
+         */
+        async renderCrankTest() {
+            const container = document.getElementById('battery-crank');
+            if (!container) return;
+
+            if (!this.crankVIN && window.obd?.connected) {
+                this.crankVIN = await System.activeApps.vin?.identify?.() || 'UNKNOWN';
+            }
+            this.crankHistory = this.crankVIN ? (this.loadCrankHistory()[this.crankVIN] || []) : [];
+
+            const test = this.crankTest;
+            const prompts = {
+                resting: 'Measuring resting voltage...',
+                waiting: '🔑 Start the engine now',
+                cranking: 'Cranking...',
+                recovering: 'Engine started - watching the charge voltage...'
+            };
+
+            let current = '<div class="dtc-empty">Engine off, ignition on - then run the crank test and start the engine when asked.</div>';
+            if (test?.running) {
+                current = `
+                    <div class="crank-prompt">${prompts[test.phase]}</div>
+                    <div class="crank-live" id="crank-live">${test.resting !== null ? `Resting ${test.resting.toFixed(2)}V` : ''}</div>
+                    <button class="btn-secondary" onclick="cancelCrankTest()">Cancel</button>
+                `;
+            } else if (test?.phase === 'error') {
+                current = `<div class="dtc-error">Crank test failed: ${test.error}</div>`;
+            } else if (test?.result && !test.result.started) {
+                current = `<div class="dtc-warning">No ${test.result.minimum === undefined ? 'crank' : 'start'} detected - run the test again and start the engine when asked.</div>`;
+            } else if (test?.result) {
+                current = this.renderCrankResult(test.result);
+            }
+
+            container.innerHTML = `
+                ${current}
+                ${this.crankHistory.length ? `
+                    <div class="dtc-section">Earlier crank tests</div>
+                    <table class="info-table">
+                        <tr><th>Date</th><th>Resting</th><th>Minimum</th><th>Recovery</th><th>Grade</th></tr>
+                        ${this.crankHistory.map(r => `
+                            <tr>
+                                <td>${new Date(r.timestamp).toLocaleDateString()}</td>
+                                <td>${r.resting.toFixed(2)}V</td>
+                                <td>${r.minimum.toFixed(2)}V</td>
+                                <td>${r.recoveryTime !== null ? (r.recoveryTime / 1000).toFixed(1) + 's' : '--'}</td>
+                                <td style="color:${CRANK_GRADES.find(g => g.label === r.grade).color};">${r.grade}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                    ${this.renderCrankTrend()}
+                ` : ''}
+            `;
+        },
+
+        renderCrankLive(test, v) {
+            const live = document.getElementById('crank-live');
+            if (!live) return;
+            const min = test.samples.length ? Math.min(...test.samples.map(s => s.v)) : null;
+            live.textContent = `Resting ${test.resting.toFixed(2)}V · Now ${v !== null ? v.toFixed(2) + 'V' : '--'}${min !== null ? ` · Min ${min.toFixed(2)}V` : ''}`;
+
+            const prompt = document.querySelector('#battery-crank .crank-prompt');
+            const text = { waiting: '🔑 Start the engine now', cranking: 'Cranking...', recovering: 'Engine started - watching the charge voltage...' };
+            if (prompt && text[test.phase]) prompt.textContent = text[test.phase];
+        },
+
+        renderCrankResult(result) {
+            const grade = CRANK_GRADES.find(g => g.label === result.grade);
+            return `
+                <div class="crank-result" style="border-left-color:${grade.color};">
+                    <div class="crank-grade" style="color:${grade.color};">${result.grade} · ${result.health}%</div>
+                    <div class="hint">${grade.detail}</div>
+                    ${result.lowResting ? '<div class="hint" style="color:var(--orange);">Resting voltage was low - charge the battery and repeat for a reliable grade.</div>' : ''}
+                    ${this.renderCrankCurve(result)}
+                    <table class="info-table">
+                        <tr><td>Resting</td><td>${result.resting.toFixed(2)}V</td></tr>
+                        <tr><td>Minimum while cranking</td><td>${result.minimum.toFixed(2)}V</td></tr>
+                        <tr><td>Time to minimum</td><td>${result.dipTime} ms</td></tr>
+                        <tr><td>Recovery to resting</td><td>${result.recoveryTime !== null ? (result.recoveryTime / 1000).toFixed(1) + ' s' : '--'}</td></tr>
+                        <tr><td>After start</td><td>${result.afterStart.toFixed(2)}V</td></tr>
+                        <tr><td>Source</td><td>${result.source} · ${result.samples.length} samples</td></tr>
+                    </table>
+                    <div class="hint">A sample every ~${this.sampleInterval(result)} ms - a very short dip between samples can be missed.</div>
+                </div>
+            `;
+        },
+
+        sampleInterval(result) {
+            const { samples } = result;
+            return samples.length > 1 ? Math.round((samples[samples.length - 1].t - samples[0].t) / (samples.length - 1)) : 0;
+        },
+
+        /**
+         * Voltage curve as an inline SVG polyline (8-15V scale)
+         */
+        renderCrankCurve(result) {
+            const { samples } = result;
+            if (samples.length < 2) return '';
+            const width = 300;
+            const height = 100;
+            const t0 = samples[0].t;
+            const span = Math.max(samples[samples.length - 1].t - t0, 1);
+            const y = (v) => height - (Math.min(Math.max(v, 8), 15) - 8) / 7 * height;
+            const points = samples.map(s => `${((s.t - t0) / span * width).toFixed(1)},${y(s.v).toFixed(1)}`).join(' ');
+
+            return `
+                <svg class="crank-curve" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                    <line x1="0" x2="${width}" y1="${y(result.resting)}" y2="${y(result.resting)}" stroke="var(--border)" stroke-dasharray="4 4"/>
+                    <line x1="0" x2="${width}" y1="${y(CRANK_GRADES[0].min)}" y2="${y(CRANK_GRADES[0].min)}" stroke="var(--green)" stroke-dasharray="2 4"/>
+                    <polyline points="${points}" fill="none" stroke="var(--accent)" stroke-width="2"/>
+                </svg>
+            `;
+        },
+
+        /**
+         * Compare the latest result with the oldest stored one
+         */
+        renderCrankTrend() {
+            if (this.crankHistory.length < 2) return '';
+            const latest = this.crankHistory[0];
+            const oldest = this.crankHistory[this.crankHistory.length - 1];
+            const change = latest.minimum - oldest.minimum;
+            const since = new Date(oldest.timestamp).toLocaleDateString();
+            return `
+                <p class="hint" style="color:${change < -0.3 ? 'var(--orange)' : 'var(--muted)'};">
+                    Minimum cranking voltage ${change >= 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(2)}V since ${since}${change < -0.3 ? ' - the battery is weakening' : ''}
+                </p>
+            `;
+        },
+
+        /**
+         * Guided charging system test
+         * The user performs each step and presses Ready; the step is
+         * recorded once RPM has stayed in range for HOLD_TIME
+         */
+        startChargeTest() {
+            if (this.chargeTest && !this.chargeTest.report) return;
+            if (!window.obd?.connected) {
+                alert('Connect to the vehicle first.');
+                return;
+            }
+            if (!window.isSimulating && !window.isPIDSupported(PIDS.BATTERY.code)) {
+                alert('This vehicle does not report control module voltage (PID 0142).');
+                return;
+            }
+
+            this.chargeTest = { step: 0, armed: false, holdStart: null, samples: [], readings: {}, live: {}, report: null };
+            this.subscribeChargeTest();
+            System.log('Battery', 'Charging system test started');
+            this.renderChargeTest();
+        },
+
+        /**
+         * Engine off, many ECUs stop answering RPM and the scheduler would
+         * drop it - only poll RPM once the engine is meant to be running.
+         * Re-subscribing re-admits RPM if it was dropped earlier
+         */
+        subscribeChargeTest() {
+            const resting = CHARGE_STEPS[this.chargeTest.step].id === 'resting';
+            System.activeApps.scheduler.subscribe({
+                id: 'battery-charging',
+                pids: resting ? ['BATTERY'] : ['RPM', 'BATTERY'],
+                interval: 500,
+                priority: 'high',
+                when: () => !!this.chargeTest && !this.chargeTest.report,
+                onData: (values) => this.updateChargeTest(values, Date.now()),
+                simulate: () => this.updateChargeTest(this.generateChargeSample(), Date.now())
+            });
+        },
+
+        /**
+         * User has done what the current step asks
+         */
+        armChargeStep() {
+            const test = this.chargeTest;
+            if (!test || test.report) return;
+            test.armed = true;
+            test.holdStart = null;
+            test.samples = [];
+            this.renderChargeTest();
+        },
+
+        cancelChargeTest() {
+            System.activeApps.scheduler?.unsubscribe('battery-charging');
+            if (this.chargeTest && !this.chargeTest.report) System.log('Battery', 'Charging system test cancelled');
+            this.chargeTest = null;
+            this.renderChargeTest();
+        },
+
+        /**
+         * Live RPM / voltage - hold the current step until it is stable
+         */
+        updateChargeTest(values, now) {
+            const test = this.chargeTest;
+            if (!test || test.report) return;
+            test.live = values;
+
+            const step = CHARGE_STEPS[test.step];
+            const { RPM: rpm = null, BATTERY: voltage } = values;
+            // RPM is not polled while resting - a charging voltage means the engine is still running
+            const inRange = step.id === 'resting'
+                ? voltage !== null && voltage < CHARGE_LIMITS.charging && !rpm
+                : rpm !== null && rpm >= step.rpm[0] && rpm <= step.rpm[1];
+
+            if (!test.armed || !inRange || voltage === null) {
+                test.holdStart = null;
+                test.samples = [];
+            } else {
+                if (test.holdStart === null) test.holdStart = now;
+                test.samples.push({ rpm: rpm || 0, voltage });
+
+                if (now - test.holdStart >= HOLD_TIME) {
+                    const avg = (key) => test.samples.reduce((sum, s) => sum + s[key], 0) / test.samples.length;
+                    test.readings[step.id] = {
+                        voltage: avg('voltage'),
+                        min: Math.min(...test.samples.map(s => s.voltage)),
+                        rpm: Math.round(avg('rpm'))
+                    };
+                    System.log('Battery', `✓ ${step.label}: ${test.readings[step.id].voltage.toFixed(2)}V`);
+
+                    test.step++;
+                    test.armed = false;
+                    test.holdStart = null;
+                    test.samples = [];
+                    if (test.step === CHARGE_STEPS.length) {
+                        test.report = this.evaluateChargeTest(test.readings);
+                        System.activeApps.scheduler.unsubscribe('battery-charging');
+                        System.log('Battery', `Charging system test: ${test.report.pass ? '✓ PASS' : '⚠️ FAIL'}`);
+                    } else {
+                        this.subscribeChargeTest();
+                    }
+                }
+            }
+            this.renderChargeTest(now);
+        },
+
+        /**
+         * Pass/fail per finding from the four readings
+         * @returns {Object} - { pass, checks: [{ label, result, detail }] }
+         */
+        evaluateChargeTest(readings) {
+            const { resting, idle, idleLoad, rpm2000 } = readings;
+            const t = this.thresholds;
+            const checks = [];
+            const add = (label, result, detail) => checks.push({ label, result, detail });
+
+            add('Battery charge', resting.voltage >= t.normalLow ? 'pass' : resting.voltage >= 12.2 ? 'warn' : 'fail',
+                `${resting.voltage.toFixed(2)}V resting${resting.voltage < t.normalLow ? ' - charge the battery, results below may read low' : ''}`);
+
+            const peak = Math.max(idle.voltage, idleLoad.voltage, rpm2000.voltage);
+            if (peak > t.normalHigh) {
+                add('Voltage regulator', 'fail', `${peak.toFixed(2)}V - overcharging, regulator limit is ${t.normalHigh}V`);
+            } else if (idle.voltage < CHARGE_LIMITS.charging) {
+                add('Voltage regulator', 'fail', `${idle.voltage.toFixed(2)}V at idle - not charging`);
+            } else {
+                add('Voltage regulator', 'pass', `${idle.voltage.toFixed(2)}V at idle, ${peak.toFixed(2)}V peak`);
+            }
+
+            add('Alternator output at idle', idleLoad.min >= CHARGE_LIMITS.loadedIdle ? 'pass' : 'warn',
+                `${idleLoad.voltage.toFixed(2)}V with loads (min ${idleLoad.min.toFixed(2)}V), ${(idle.voltage - idleLoad.voltage).toFixed(2)}V drop`);
+
+            add('Alternator output at 2000 RPM', rpm2000.voltage >= CHARGE_LIMITS.loaded2000 ? 'pass'
+                : rpm2000.voltage >= CHARGE_LIMITS.charging ? 'warn' : 'fail',
+                `${rpm2000.voltage.toFixed(2)}V with loads at ${rpm2000.rpm} rpm`);
+
+            return { pass: !checks.some(c => c.result === 'fail'), checks };
+        },
+
+        renderChargeTest(now = Date.now()) {
+            const container = document.getElementById('battery-charging');
+            if (!container) return;
+
+            const test = this.chargeTest;
+            if (!test) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const colors = { pass: 'var(--green)', warn: 'var(--orange)', fail: 'var(--red)' };
+            const live = test.live;
+            const rows = CHARGE_STEPS.map((step, i) => {
+                const reading = test.readings[step.id];
+                if (reading) {
+                    return `<div class="charge-step done">✓ <strong>${step.label}</strong> · ${reading.voltage.toFixed(2)}V${step.id === 'resting' ? '' : ` at ${reading.rpm} rpm`}</div>`;
+                }
+                if (i !== test.step || test.report) {
+                    return `<div class="charge-step">○ ${step.label}</div>`;
+                }
+
+                const range = step.id === 'resting' ? 'engine off' : `${step.rpm[0]}-${step.rpm[1]} rpm`;
+                const progress = test.holdStart !== null
+                    ? `Holding... ${Math.max(0, Math.ceil((HOLD_TIME - (now - test.holdStart)) / 1000))}s`
+                    : test.armed ? `Waiting for ${range}` : '';
+                return `
+                    <div class="charge-step current">
+                        <div>▶ <strong>${step.label}</strong></div>
+                        <div class="hint">${step.instruction}</div>
+                        <div class="crank-live">
+                            RPM ${live.RPM ?? '--'} · ${live.BATTERY != null ? live.BATTERY.toFixed(2) + 'V' : '--'}
+                            ${progress ? ` · ${progress}` : ''}
+                        </div>
+                        ${test.armed ? '' : '<button class="btn-secondary" onclick="armChargeStep()">Ready</button>'}
+                    </div>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <div class="dtc-section">
+                    Charging system test
+                    <button class="btn-secondary charge-close" onclick="cancelChargeTest()">${test.report ? 'Close' : 'Cancel'}</button>
+                </div>
+                ${rows}
+                ${test.report ? `
+                    <div class="crank-grade" style="color:${test.report.pass ? 'var(--green)' : 'var(--red)'};margin-top:12px;">
+                        ${test.report.pass ? '✓ PASS' : '✕ FAIL'}
+                    </div>
+                    <table class="info-table">
+                        ${test.report.checks.map(c => `
+                            <tr>
+                                <td>${c.label}</td>
+                                <td style="color:${colors[c.result]};font-weight:600;">${c.result.toUpperCase()}</td>
+                                <td>${c.detail}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                ` : ''}
+            `;
+        },
+
+        /**
+         * Demo: the car does what the current step asks once Ready is pressed
+         */
+        generateChargeSample() {
+            const test = this.chargeTest;
+            const noise = () => Math.random() * 0.06 - 0.03;
+            // Until Ready is pressed the car stays in the previous step's state
+            const index = Math.min(test.armed ? test.step : Math.max(test.step - 1, 0), CHARGE_STEPS.length - 1);
+            const demo = {
+                resting: { RPM: 0, BATTERY: 12.6 },
+                idle: { RPM: 750, BATTERY: 14.3 },
+                idleLoad: { RPM: 720, BATTERY: 13.6 },
+                rpm2000: { RPM: 2000, BATTERY: 14.1 }
+            }[CHARGE_STEPS[index].id];
+            return {
+                RPM: demo.RPM ? Math.round(demo.RPM + Math.random() * 60 - 30) : 0,
+                BATTERY: demo.BATTERY + noise()
+            };
+        },
+
+        /**
+         * Demo crank: engine started 2s after the prompt
+         */
+        generateCrankSample(elapsed) {
+            const noise = Math.random() * 0.04 - 0.02;
+            if (elapsed < 2000) return 12.6 + noise;
+            if (elapsed < 2150) return 12.6 - (elapsed - 2000) / 150 * 1.9 + noise;
+            if (elapsed < 3300) return 10.9 + 0.2 * Math.sin(elapsed / 60) + noise;
+            if (elapsed < 4300) return 10.9 + (elapsed - 3300) / 1000 * 3.3 + noise;
+            return 14.2 + noise;
+        },
+
         /**
          * Generate simulated data for demo mode
          */
@@ -307,15 +843,15 @@
          * Shutdown cleanup
          */
         shutdown() {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
-            }
             this.isActive = false;
-            this.consecutiveErrors = 0;
             this.voltageHistory = [];
             this.lastAlertVoltage = null;
             this.engineRunning = false;
+            if (this.crankTest) this.crankTest.running = false;
+            System.activeApps.scheduler?.unsubscribe('battery-charging');
+            this.chargeTest = null;
+            this.crankTest = null;
+            this.crankVIN = null;
             System.log('Battery', 'Shutdown complete');
         }
     };
@@ -323,4 +859,12 @@
     // Register and initialize
     window.System.activeApps.battery = BatteryApp;
     BatteryApp.init();
+
+    // Global helpers
+    window.showBattery = () => BatteryApp.renderCrankTest();
+    window.runCrankTest = () => BatteryApp.runCrankTest();
+    window.cancelCrankTest = () => BatteryApp.cancelCrankTest();
+    window.startChargeTest = () => BatteryApp.startChargeTest();
+    window.armChargeStep = () => BatteryApp.armChargeStep();
+    window.cancelChargeTest = () => BatteryApp.cancelChargeTest();
 })();
\ No newline at end of file
@@ -0,0 +1,377 @@
+/**
+ * Gnokestation Drive Cycle Coach v1.0
+ * Guides the driver through the conditions incomplete monitors need
+ *
+ * For every monitor the Readiness app reports as not ready:
+ * - Lists its enabling conditions (cold start, warm-up, idle, cruise...)
+ * - Watches coolant / speed / fuel level / run time live and ticks
+ *   each phase off once it has been held long enough
+ * - Re-reads PID 41 every minute to confirm the monitor has completed
+ *
+ * Conditions are the common generic ones; exact cycles vary by make.
+ */
+
+(() => {
+    const COACH_PIDS = ['COOLANT', 'SPEED', 'RPM', 'FUEL_LEVEL', 'RUN_TIME'];
+    const POLL_INTERVAL = 1000;
+    const CHECK_INTERVAL = 60000;    // PID 41 re-read
+    const SIM_SPEEDUP = 10;          // Demo drive runs 10x faster than real time
+
+    // Enabling conditions - test() sees { KEY: value|null }
+    // start: judged on the first sample that reports pid, hold: ms the test must stay true,
+    // steady: max km/h drift from the speed the hold started at
+    const PHASES = {
+        coldStart: {
+            label: 'Cold start',
+            detail: 'Start with coolant below 35°C - car parked 8h or more',
+            pid: 'COOLANT',
+            start: true,
+            test: (v) => v.COOLANT < 35
+        },
+        warmup: {
+            label: 'Warm up',
+            detail: 'Drive until coolant is above 70°C',
+            test: (v) => v.COOLANT >= 70
+        },
+        fuelLevel: {
+            label: 'Fuel level',
+            detail: 'Tank between 15% and 85%',
+            pid: 'FUEL_LEVEL',
+            test: (v) => v.FUEL_LEVEL >= 15 && v.FUEL_LEVEL <= 85
+        },
+        idle: {
+            label: 'Idle',
+            detail: 'Warm engine idling, vehicle stopped, for 2½ minutes',
+            hold: 150000,
+            test: (v) => v.SPEED === 0 && v.RPM > 0 && v.COOLANT >= 70
+        },
+        cruise: {
+            label: 'Steady cruise',
+            detail: 'Hold a steady 70-100 km/h for 3 minutes',
+            hold: 180000,
+            steady: 8,
+            test: (v) => v.SPEED >= 70 && v.SPEED <= 100
+        },
+        runTime: {
+            label: 'Run time',
+            detail: 'Keep the engine running for at least 10 minutes',
+            pid: 'RUN_TIME',
+            test: (v) => v.RUN_TIME >= 600
+        }
+    };
+
+    // Phases each monitor needs before it can run
+    const MONITOR_PHASES = {
+        misfire: ['warmup', 'runTime'],
+        fuelSystem: ['warmup', 'runTime'],
+        components: ['warmup', 'runTime'],
+        catalyst: ['warmup', 'cruise'],
+        heatedCatalyst: ['coldStart', 'warmup'],
+        evapSystem: ['coldStart', 'fuelLevel', 'idle', 'runTime'],
+        secondaryAir: ['coldStart', 'idle'],
+        acRefrigerant: ['warmup', 'idle'],
+        oxygenSensor: ['warmup', 'cruise', 'idle'],
+        oxygenSensorHeater: ['coldStart', 'idle'],
+        egrSystem: ['warmup', 'cruise'],
+        nmhcCatalyst: ['warmup', 'cruise'],
+        noxAftertreatment: ['warmup', 'cruise', 'runTime'],
+        boostPressure: ['warmup', 'cruise'],
+        exhaustGasSensor: ['warmup', 'cruise', 'idle'],
+        pmFilter: ['warmup', 'cruise', 'runTime'],
+        egrVvt: ['warmup', 'cruise', 'idle']
+    };
+
+    const DriveCycleApp = {
+        id: 'drivecycle',
+        PHASES,
+        MONITOR_PHASES,
+
+        active: false,
+        targets: [],            // Monitor keys being coached
+        completed: new Set(),   // Targets confirmed complete
+        phases: {},             // Phase id -> { met, missed, since, anchor }
+        live: {},
+        firstSample: true,
+        lastCheck: 0,
+        pid41: true,            // false when the vehicle does not answer PID 41
+        simTime: 0,
+
+        init() {
+            System.log('DriveCycle', 'Initializing drive cycle coach...');
+            System.log('DriveCycle', '✓ Ready');
+        },
+
+        /**
+         * Start coaching every monitor Readiness reports as not ready
+         */
+        async start() {
+            const readiness = System.activeApps.readiness;
+            const scheduler = System.activeApps.scheduler;
+            if (!readiness || !scheduler) return;
+            if (!window.obd?.connected) {
+                alert('Connect to the vehicle first.');
+                return;
+            }
+
+            if (Object.keys(readiness.ecuStatus).length === 0) {
+                await readiness.readStatus();
+            }
+
+            this.targets = Object.keys(readiness.monitors)
+                .filter(key => readiness.monitors[key].supported && !readiness.monitors[key].complete && MONITOR_PHASES[key]);
+            if (this.targets.length === 0) {
+                alert('All supported monitors are already complete.');
+                return;
+            }
+
+            this.completed = new Set();
+            this.phases = {};
+            new Set(this.targets.flatMap(key => MONITOR_PHASES[key])).forEach(id => {
+                this.phases[id] = { met: false, missed: false, since: null, anchor: null };
+            });
+            this.live = {};
+            this.firstSample = true;
+            this.lastCheck = Date.now();
+            this.pid41 = window.isSimulating || readiness.driveCycle !== null;
+            this.simTime = 0;
+            this.active = true;
+
+            scheduler.subscribe({
+                id: this.id,
+                pids: COACH_PIDS,
+                interval: POLL_INTERVAL,
+                priority: 'normal',
+                when: () => this.active,
+                onData: (values) => this.update(values, Date.now()),
+                simulate: () => {
+                    this.simTime += POLL_INTERVAL * SIM_SPEEDUP;
+                    this.update(this.generateSimData(this.simTime / 1000), this.simTime);
+                }
+            });
+
+            System.log('DriveCycle', `▶ Coaching ${this.targets.length} monitor(s): ${this.targets.map(key => readiness.MONITOR_NAMES[key]).join(', ')}`);
+            this.render();
+        },
+
+        stop() {
+            if (!this.active) return;
+            this.active = false;
+            System.activeApps.scheduler?.unsubscribe(this.id);
+            System.log('DriveCycle', '⏹ Coach stopped');
+            this.render();
+        },
+
+        /**
+         * New live values - advance phases, then check monitors once a minute
+         * @param {number} now - Timestamp in ms (virtual in demo mode)
+         */
+        update(values, now) {
+            if (!this.active) return;
+            this.live = values;
+
+            Object.keys(this.phases).forEach(id => {
+                const phase = PHASES[id];
+                const state = this.phases[id];
+                if (state.met || state.missed) return;
+
+                let ok = false;
+                try {
+                    ok = phase.test(values);
+                } catch (err) {
+                    ok = false;
+                }
+
+                if (phase.start) {
+                    // No reading yet is unknown, not missed - wait for the first valid one
+                    if (values[phase.pid] === null) return;
+                    state.met = ok;
+                    state.missed = !ok;
+                    return;
+                }
+
+                if (ok && phase.steady && state.anchor !== null && Math.abs(values.SPEED - state.anchor) > phase.steady) {
+                    ok = false;
+                }
+                if (!ok) {
+                    state.since = null;
+                    state.anchor = null;
+                    return;
+                }
+                if (state.since === null) {
+                    state.since = now;
+                    state.anchor = values.SPEED;
+                }
+                if (now - state.since >= (phase.hold || 0)) state.met = true;
+            });
+            this.firstSample = false;
+
+            if (Date.now() - this.lastCheck >= CHECK_INTERVAL || (window.isSimulating && this.readyToRun().length > 0)) {
+                this.lastCheck = Date.now();
+                this.checkMonitors();
+            }
+
+            this.render(now);
+        },
+
+        /**
+         * Targets whose phases have all been met but are not confirmed yet
+         */
+        readyToRun() {
+            return this.targets.filter(key => !this.completed.has(key) &&
+                MONITOR_PHASES[key].every(id => this.phases[id].met));
+        },
+
+        /**
+         * Re-read PID 41 and tick off monitors that have completed
+         */
+        async checkMonitors() {
+            const readiness = System.activeApps.readiness;
+            let cycle;
+
+            if (window.isSimulating) {
+                // Demo monitors complete as soon as their conditions were met
+                this.readyToRun().forEach(key => cycle = readiness.simulateCompletion(key));
+            } else {
+                cycle = await readiness.refreshDriveCycle();
+                this.pid41 = cycle !== null;
+            }
+            if (!this.active) return;
+
+            this.targets.forEach(key => {
+                if (this.completed.has(key)) return;
+                if (cycle?.[key]?.supported && cycle[key].complete) {
+                    this.completed.add(key);
+                    System.log('DriveCycle', `✓ ${readiness.MONITOR_NAMES[key]} complete`);
+                }
+            });
+
+            if (this.completed.size === this.targets.length) {
+                System.log('DriveCycle', '✓ All coached monitors complete');
+                this.stop();
+            }
+        },
+
+        /**
+         * Demo drive: idle, city, highway cruise, then back to idle
+         * @param {number} t - Seconds since the engine started
+         */
+        generateSimData(t) {
+            let speed = 0;
+            if (t >= 120 && t < 400) speed = 40 + 10 * Math.sin(t / 20);
+            else if (t >= 400 && t < 700) speed = 88 + 2 * Math.sin(t / 15);
+            else if (t >= 700 && t < 760) speed = 88 * (760 - t) / 60;
+
+            return {
+                COOLANT: Math.min(90, 20 + t * 0.2),
+                SPEED: Math.round(speed),
+                RPM: speed > 0 ? 1200 + speed * 20 : 750,
+                FUEL_LEVEL: 55 - t * 0.002,
+                RUN_TIME: Math.round(t)
+            };
+        },
+
+        render(now = Date.now()) {
+            const container = document.getElementById('drivecycle-coach');
+            if (!container) return;
+
+            if (!this.active && this.targets.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const names = System.activeApps.readiness?.MONITOR_NAMES || {};
+            const v = this.live;
+            const fmt = (value, unit) => value === null || value === undefined ? '--' : `${Math.round(value)}${unit}`;
+            const done = this.completed.size === this.targets.length;
+
+            container.innerHTML = `
+                <div class="dtc-section">
+                    Drive Cycle Coach
+                    <span class="dtc-badge" style="background:${done ? 'var(--green)' : 'var(--accent)'};">${this.completed.size}/${this.targets.length}</span>
+                    ${this.active
+                        ? '<button class="btn-secondary coach-stop" onclick="stopDriveCycleCoach()">⏹ Stop</button>'
+                        : '<button class="btn-secondary coach-stop" onclick="closeDriveCycleCoach()">Close</button>'}
+                </div>
+                ${this.active ? `
+                    <div class="coach-live">
+                        <span>Coolant ${fmt(v.COOLANT, '°C')}</span>
+                        <span>Speed ${fmt(v.SPEED, ' km/h')}</span>
+                        <span>Fuel ${fmt(v.FUEL_LEVEL, '%')}</span>
+                        <span>Run ${v.RUN_TIME === null || v.RUN_TIME === undefined ? '--' : this.formatDuration(v.RUN_TIME * 1000)}</span>
+                    </div>
+                ` : ''}
+                ${this.targets.map(key => this.renderMonitor(key, names[key] || key, now)).join('')}
+                <p class="hint">
+                    ${done ? '✓ All coached monitors have completed.' : this.pid41
+                        ? 'Completion is confirmed from PID 41 once a minute.'
+                        : 'PID 41 not supported - use Check Status to confirm completion.'}
+                    Conditions are typical generic ones; your vehicle's service manual has the exact cycle.
+                </p>
+            `;
+        },
+
+        renderMonitor(key, name, now) {
+            const complete = this.completed.has(key);
+            return `
+                <div class="dtc-card" style="border-left-color:${complete ? 'var(--green)' : 'var(--orange)'};">
+                    <div class="dtc-body" style="flex:1;">
+                        <span class="dtc-desc"><strong>${name}</strong></span>
+                        <span class="dtc-meta">${complete ? '✓ Complete' : 'Not ready'}</span>
+                        <div class="coach-phases">
+                            ${MONITOR_PHASES[key].map(id => this.renderPhase(id, now)).join('')}
+                        </div>
+                    </div>
+                </div>
+            `;
+        },
+
+        renderPhase(id, now) {
+            const phase = PHASES[id];
+            const state = this.phases[id];
+            let icon = '○';
+            let status = '';
+
+            if (state.met) {
+                icon = '✓';
+            } else if (state.missed) {
+                icon = '✕';
+                status = ' - missed, start the coach before the first start of the day';
+            } else if (phase.pid && (this.live[phase.pid] === null) && !this.firstSample) {
+                status = ' - not reported by this vehicle, check manually';
+            } else if (state.since !== null && phase.hold) {
+                icon = '⏳';
+                status = ` - ${this.formatDuration(phase.hold - (now - state.since))} left`;
+            }
+
+            return `
+                <div class="coach-phase ${state.met ? 'met' : ''}">
+                    <span class="coach-icon">${icon}</span>
+                    <span><strong>${phase.label}</strong> · ${phase.detail}${status}</span>
+                </div>
+            `;
+        },
+
+        formatDuration(ms) {
+            const total = Math.max(0, Math.round(ms / 1000));
+            return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+        },
+
+        close() {
+            this.stop();
+            this.targets = [];
+            this.render();
+        },
+
+        shutdown() {
+            this.close();
+        }
+    };
+
+    window.System.activeApps.drivecycle = DriveCycleApp;
+    DriveCycleApp.init();
+
+    // Global helpers
+    window.startDriveCycleCoach = () => DriveCycleApp.start();
+    window.stopDriveCycleCoach = () => DriveCycleApp.stop();
+    window.closeDriveCycleCoach = () => DriveCycleApp.close();
+})();
@@ -0,0 +1,304 @@
+/**
+ * Gnokestation DTC History v1.0
+ * Keeps every fault code scan per vehicle so intermittent faults show up
+ *
+ * Each Fault Codes read is stored in IndexedDB (gnoke_obd2_db) with:
+ * - VIN from the VIN plugin (records of different cars never mix)
+ * - Timestamp and distance since codes were cleared (PID 31)
+ * - Confirmed / pending / permanent codes per ECU (null when that read failed)
+ *
+ * The history view replays the scans per code: when it first appeared,
+ * when it disappeared (or was cleared) and every time it came back.
+ */
+
+(() => {
+    const DB_NAME = 'gnoke_obd2_db';
+    const DB_VERSION = 1;
+    const STORE = 'dtc_scans';
+    const UNKNOWN_VIN = 'UNKNOWN';
+    const CATEGORY_RANK = ['confirmed', 'pending', 'permanent']; // Label used when a code is in several
+
+    // Minimal IndexedDB access for the scan store
+    const ScanStore = (() => {
+        let dbPromise = null;
+
+        function open() {
+            if (dbPromise) return dbPromise;
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => {
+                    const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('vin', 'vin');
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => {
+                    dbPromise = null;
+                    reject(req.error);
+                };
+            });
+            return dbPromise;
+        }
+
+        async function add(record) {
+            const db = await open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, 'readwrite');
+                const req = tx.objectStore(STORE).add(record);
+                tx.oncomplete = () => resolve(req.result);
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+
+        async function byVIN(vin) {
+            const db = await open();
+            return new Promise((resolve, reject) => {
+                const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('vin').getAll(vin);
+                req.onsuccess = () => resolve(req.result || []);
+                req.onerror = () => reject(req.error);
+            });
+        }
+
+        async function vins() {
+            const db = await open();
+            return new Promise((resolve, reject) => {
+                // Unique key cursor over the index yields each VIN once
+                const found = [];
+                const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('vin').openKeyCursor(null, 'nextunique');
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (!cursor) return resolve(found);
+                    found.push(cursor.key);
+                    cursor.continue();
+                };
+                req.onerror = () => reject(req.error);
+            });
+        }
+
+        async function removeVIN(vin) {
+            const db = await open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, 'readwrite');
+                const cursorReq = tx.objectStore(STORE).index('vin').openCursor(vin);
+                cursorReq.onsuccess = () => {
+                    const cursor = cursorReq.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+
+        return { add, byVIN, vins, removeVIN };
+    })();
+
+    const DTCHistoryApp = {
+        id: 'dtchistory',
+        selectedVIN: null,
+        simDistance: 1200,  // Demo odometer since clear, grows per scan
+
+        init() {
+            System.log('DTC-History', 'Initializing fault code history...');
+            System.log('DTC-History', '✓ Ready');
+        },
+
+        /**
+         * Store one Fault Codes read
+         * @param {Object} results - { confirmed: { ecu: [codes] }, pending, permanent }
+         * @param {Object} [options]
+         *   cleared  true when recorded right after Mode 04
+         *   report   Pre-clear extras kept with the scan: { status, freezeFrames }
+         */
+        async recordScan(results, options = {}) {
+            try {
+                const vin = await System.activeApps.vin?.identify?.() || UNKNOWN_VIN;
+                if (options.cleared) this.simDistance = 0;
+                const record = {
+                    vin,
+                    timestamp: Date.now(),
+                    distanceSinceClear: options.cleared ? 0 : await this.readDistance(),
+                    cleared: !!options.cleared,
+                    codes: results,
+                    report: options.report || null
+                };
+
+                await ScanStore.add(record);
+                this.selectedVIN = vin;
+                System.log('DTC-History', `✓ Scan saved for ${vin}`);
+                this.render();
+            } catch (err) {
+                System.log('DTC-History', `⚠️ Scan not saved: ${err.message}`);
+            }
+        },
+
+        /**
+         * Distance since codes were cleared (PID 31), null when unsupported
+         */
+        async readDistance() {
+            if (window.isSimulating) {
+                this.simDistance += 20 + Math.round(Math.random() * 40);
+                return this.simDistance;
+            }
+            try {
+                const def = PIDS.DISTANCE_SINCE_CLEAR;
+                const raw = await window.obd.sendCommand(def.code);
+                return def.parse(window.parseOBDResponse(raw, '41' + def.code.substring(2)));
+            } catch (err) {
+                return null;
+            }
+        },
+
+        /**
+         * Every code ever seen on a vehicle with its appear/disappear events
+         * @param {Object[]} scans - Stored records, any order
+         * @returns {Object[]} - [{ code, present, category, intermittent, events: [...] }]
+         */
+        buildTimeline(scans) {
+            const ordered = [...scans].sort((a, b) => a.timestamp - b.timestamp);
+
+            // code -> category per scan, e.g. { P0300: 'confirmed' }, plus the categories whose read failed
+            const snapshots = ordered.map(scan => {
+                const found = {};
+                CATEGORY_RANK.forEach(category => {
+                    Object.values(scan.codes?.[category] || {}).flat().forEach(code => {
+                        if (!found[code]) found[code] = category;
+                    });
+                });
+                const failed = CATEGORY_RANK.filter(category => scan.codes?.[category] === null);
+                return { found, failed };
+            });
+
+            const allCodes = new Set(snapshots.flatMap(({ found }) => Object.keys(found)));
+            const rank = (category) => category ? CATEGORY_RANK.indexOf(category) : CATEGORY_RANK.length;
+
+            return [...allCodes].map(code => {
+                const events = [];
+                let previous = null;
+
+                ordered.forEach((scan, i) => {
+                    const { found, failed } = snapshots[i];
+                    let category = found[code] || null;
+                    // The category it was in could not be read - nothing is known, keep the last state
+                    if (previous && failed.includes(previous) && rank(category) > rank(previous)) category = previous;
+                    const at = { time: scan.timestamp, distance: scan.distanceSinceClear };
+
+                    if (category && !previous) {
+                        events.push({ ...at, type: events.length ? 'reappeared' : 'appeared', category });
+                    } else if (!category && previous) {
+                        events.push({ ...at, type: scan.cleared ? 'cleared' : 'disappeared' });
+                    } else if (category && previous && category !== previous) {
+                        events.push({ ...at, type: 'changed', category });
+                    }
+                    previous = category;
+                });
+
+                return {
+                    code,
+                    present: !!previous,
+                    category: previous,
+                    intermittent: events.some(e => e.type === 'reappeared'),
+                    lastEvent: events[events.length - 1].time,
+                    events
+                };
+            }).sort((a, b) => b.present - a.present || b.lastEvent - a.lastEvent);
+        },
+
+        async render() {
+            const container = document.getElementById('dtchistory-content');
+            if (!container) return;
+
+            let vins;
+            try {
+                vins = await ScanStore.vins();
+            } catch (err) {
+                container.innerHTML = `<div class="dtc-error">History unavailable: ${err.message}</div>`;
+                return;
+            }
+
+            if (vins.length === 0) {
+                container.innerHTML = '<div class="dtc-empty">No scans stored yet. Every Fault Codes read is saved here.</div>';
+                return;
+            }
+
+            if (!vins.includes(this.selectedVIN)) this.selectedVIN = vins[0];
+            let scans;
+            try {
+                scans = await ScanStore.byVIN(this.selectedVIN);
+            } catch (err) {
+                container.innerHTML = `<div class="dtc-error">History unavailable: ${err.message}</div>`;
+                return;
+            }
+            const timeline = this.buildTimeline(scans);
+
+            container.innerHTML = `
+                <div class="history-head">
+                    <select class="dash-layout-select" onchange="selectDTCHistoryVIN(this.value)">
+                        ${vins.map(vin => `<option value="${vin}" ${vin === this.selectedVIN ? 'selected' : ''}>${vin === UNKNOWN_VIN ? 'Unknown vehicle (no VIN)' : vin}</option>`).join('')}
+                    </select>
+                    <span class="dtc-module-addr">${scans.length} scan(s)</span>
+                </div>
+                ${timeline.length === 0
+                    ? '<div class="dtc-empty">No codes found in any scan of this vehicle.</div>'
+                    : timeline.map(entry => this.renderEntry(entry)).join('')}
+            `;
+        },
+
+        renderEntry(entry) {
+            const info = window.describeDTC(entry.code);
+            const labels = {
+                appeared: 'First seen',
+                disappeared: 'Gone',
+                reappeared: 'Came back',
+                cleared: 'Cleared',
+                changed: 'Now'
+            };
+            const when = (e) => new Date(e.time).toLocaleString();
+            const distance = (e) => e.distance !== null && e.distance !== undefined ? ` · ${e.distance} km since clear` : '';
+
+            return `
+                <div class="dtc-card history-card" style="border-left-color:${entry.present ? 'var(--red)' : 'var(--muted)'};">
+                    <span class="dtc-code" style="color:${entry.present ? 'var(--red)' : 'var(--muted)'};">${entry.code}</span>
+                    <div class="dtc-body">
+                        <span class="dtc-desc">${info.description}</span>
+                        <span class="dtc-meta">
+                            ${entry.present ? `Present · ${entry.category}` : 'Not present'}
+                            ${entry.intermittent ? ' · <span style="color:var(--orange);">Intermittent</span>' : ''}
+                        </span>
+                        <div class="history-events">
+                            ${entry.events.map(e => `
+                                <div>${labels[e.type]}${e.category ? ` (${e.category})` : ''} · ${when(e)}${distance(e)}</div>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+            `;
+        },
+
+        selectVIN(vin) {
+            this.selectedVIN = vin;
+            this.render();
+        },
+
+        async deleteHistory() {
+            if (!this.selectedVIN) return;
+            if (!confirm(`Delete all stored scans for ${this.selectedVIN}?`)) return;
+            try {
+                await ScanStore.removeVIN(this.selectedVIN);
+                System.log('DTC-History', `History deleted for ${this.selectedVIN}`);
+                this.selectedVIN = null;
+                this.render();
+            } catch (err) {
+                System.log('DTC-History', `Delete failed: ${err.message}`);
+            }
+        }
+    };
+
+    window.System.activeApps.dtchistory = DTCHistoryApp;
+    DTCHistoryApp.init();
+
+    // Global helpers
+    window.showDTCHistory = () => DTCHistoryApp.render();
+    window.selectDTCHistoryVIN = (vin) => DTCHistoryApp.selectVIN(vin);
+    window.deleteDTCHistory = () => DTCHistoryApp.deleteHistory();
+})();
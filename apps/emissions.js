@@ -13,22 +13,10 @@
 (() => {
     const EmissionsApp = {
         id: 'emissions',
-        updateInterval: null,
         pollingRate: 2000, // 0.5Hz - emissions data changes slowly
         isActive: false,
         
-        // Feature detection
-        supported: {
-            stft1: true,  // Short-term fuel trim bank 1
-            ltft1: true,  // Long-term fuel trim bank 1
-            o2s1: true,   // O2 sensor bank 1 sensor 1
-            o2s2: true,   // O2 sensor bank 1 sensor 2
-            maf: true     // Mass air flow
-        },
-        
         // Monitoring state
-        consecutiveErrors: 0,
-        maxErrors: 3,
         trimHistory: [],
         maxHistoryLength: 10,
 
@@ -38,126 +26,33 @@
         init() {
             System.log('Emissions', 'Initializing Emissions Monitor...');
             
-            this.updateInterval = setInterval(() => this.tick(), this.pollingRate);
+            System.activeApps.scheduler.subscribe({
+                id: this.id,
+                pids: ['SHORT_FUEL_TRIM_1', 'LONG_FUEL_TRIM_1', 'O2_B1S1', 'O2_B1S2', 'MAF_RATE'],
+                interval: this.pollingRate,
+                priority: 'low',
+                when: () => this.isActive && document.getElementById('dash')?.classList.contains('active'),
+                onData: (values) => this.handleData(values),
+                simulate: () => this.render(this.generateSimData())
+            });
             
             System.log('Emissions', `✓ Ready (${this.pollingRate}ms polling)`);
         },
 
         /**
-         * Intelligent polling cycle
-         */
-        async tick() {
-            const isDashVisible = document.getElementById('dash')?.classList.contains('active');
-            const isConnected = window.obd?.connected || window.isSimulating;
-            
-            if (!isDashVisible || !isConnected || !this.isActive) return;
-            
-            if (this.consecutiveErrors >= this.maxErrors) {
-                if (this.consecutiveErrors === this.maxErrors) {
-                    System.log('Emissions', 'Module disabled after repeated failures');
-                    this.consecutiveErrors++;
-                }
-                return;
-            }
-
-            await this.update();
-        },
-
-        /**
-         * Main update cycle
-         */
-        async update() {
-            if (window.isSimulating) {
-                this.render(this.generateSimData());
-                return;
-            }
-
-            try {
-                const data = await this.fetchData();
-                if (data) {
-                    this.render(data);
-                    this.analyzeEmissions(data);
-                    this.consecutiveErrors = 0;
-                }
-            } catch (err) {
-                this.consecutiveErrors++;
-                System.log('Emissions', `Poll error (${this.consecutiveErrors}/${this.maxErrors}): ${err.message}`);
-            }
-        },
-
-        /**
-         * Fetch all emissions-related data
+         * Scheduler delivered a fresh set of readings
          */
-        async fetchData() {
+        handleData(values) {
             const data = {
-                stft: null,
-                ltft: null,
-                o2s1: null,
-                o2s2: null,
-                maf: null
+                stft: values.SHORT_FUEL_TRIM_1,
+                ltft: values.LONG_FUEL_TRIM_1,
+                o2s1: values.O2_B1S1,
+                o2s2: values.O2_B1S2,
+                maf: values.MAF_RATE
             };
 
-            // Short-term fuel trim
-            if (this.supported.stft1) {
-                try {
-                    const raw = await window.obd.sendCommand(PIDS.SHORT_FUEL_TRIM_1.code);
-                    const bytes = window.parseOBDResponse(raw, '4106');
-                    data.stft = PIDS.SHORT_FUEL_TRIM_1.parse(bytes);
-                } catch (err) {
-                    this.supported.stft1 = false;
-                    System.log('Emissions', 'Short-term fuel trim not supported');
-                }
-            }
-
-            // Long-term fuel trim
-            if (this.supported.ltft1) {
-                try {
-                    const raw = await window.obd.sendCommand(PIDS.LONG_FUEL_TRIM_1.code);
-                    const bytes = window.parseOBDResponse(raw, '4107');
-                    data.ltft = PIDS.LONG_FUEL_TRIM_1.parse(bytes);
-                } catch (err) {
-                    this.supported.ltft1 = false;
-                    System.log('Emissions', 'Long-term fuel trim not supported');
-                }
-            }
-
-            // O2 Sensor Bank 1 Sensor 1
-            if (this.supported.o2s1) {
-                try {
-                    const raw = await window.obd.sendCommand(PIDS.O2_B1S1.code);
-                    const bytes = window.parseOBDResponse(raw, '4114');
-                    data.o2s1 = PIDS.O2_B1S1.parse(bytes);
-                } catch (err) {
-                    this.supported.o2s1 = false;
-                    System.log('Emissions', 'O2 sensor B1S1 not supported');
-                }
-            }
-
-            // O2 Sensor Bank 1 Sensor 2
-            if (this.supported.o2s2) {
-                try {
-                    const raw = await window.obd.sendCommand(PIDS.O2_B1S2.code);
-                    const bytes = window.parseOBDResponse(raw, '4115');
-                    data.o2s2 = PIDS.O2_B1S2.parse(bytes);
-                } catch (err) {
-                    this.supported.o2s2 = false;
-                    System.log('Emissions', 'O2 sensor B1S2 not supported');
-                }
-            }
-
-            // Mass Air Flow
-            if (this.supported.maf) {
-                try {
-                    const raw = await window.obd.sendCommand(PIDS.MAF_RATE.code);
-                    const bytes = window.parseOBDResponse(raw, '4110');
-                    data.maf = PIDS.MAF_RATE.parse(bytes);
-                } catch (err) {
-                    this.supported.maf = false;
-                    System.log('Emissions', 'MAF sensor not supported');
-                }
-            }
-
-            return data;
+            this.render(data);
+            this.analyzeEmissions(data);
         },
 
         /**
@@ -304,12 +199,7 @@
          * Shutdown cleanup
          */
         shutdown() {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
-            }
             this.isActive = false;
-            this.consecutiveErrors = 0;
             this.trimHistory = [];
             System.log('Emissions', 'Shutdown complete');
         }
@@ -1,29 +1,59 @@
 /**
- * Gnokestation Freeze Frame Data v1.0
- * 
+ * Gnokestation Freeze Frame Data v2.0
+ *
  * What is Freeze Frame?
  * When a DTC occurs, the ECU captures a "snapshot" of all sensor values
  * at that exact moment. This is CRITICAL for diagnosing intermittent faults.
- * 
+ *
  * Example: "P0420 Catalyst Efficiency Below Threshold"
  * - What was the RPM when it occurred?
  * - What was the engine load?
  * - What was the coolant temperature?
  * - What were the O2 sensor voltages?
- * 
+ *
  * This data tells you the CONDITIONS that caused the fault.
+ *
+ * Mode 02 requests carry a frame number: 02 <PID> <frame>, and the reply
+ * echoes it: 42 <PID> <frame> <data>. Every responding ECU keeps its own
+ * frames. Per frame, PID 02 names the DTC that stored it and the 00/20/40...
+ * bitmaps list which PIDs were captured.
+ *
+ * Reproduce mode streams the frame's PIDs live next to the stored values
+ * so the driver can recreate the fault conditions, optionally starting
+ * the recorder once RPM/load/coolant/speed all line up.
  */
 
 (() => {
+    const MAX_FRAMES = 8;            // Most ECUs only keep frame 00
+    const BITMAP_BASES = ['00', '20', '40', '60', '80', 'A0', 'C0'];
+    const REPRODUCE_ID = 'freezeframe-reproduce';
+    const REPRODUCE_INTERVAL = 250;
+    const AUTO_STOP_DELAY = 10000;   // Stop an auto-started recording after 10s out of range
+
+    // How close a live value must be to the stored one to count as "at fault conditions"
+    const MATCH_TOLERANCE = {
+        RPM: 250,
+        ENGINE_LOAD: 10,
+        COOLANT: 5,
+        SPEED: 8
+    };
+
     const FreezeFrameApp = {
         id: 'freezeframe',
-        
-        // Stored freeze frames
+
+        // Stored freeze frames: [{ ecu, frame, dtc, timestamp, data: { KEY: { value, unit, label } } }]
         freezeFrames: [],
-        
+
         // Current selected frame
         selectedFrame: null,
 
+        // Reproduce mode
+        reproducing: null,      // Frame whose conditions are being recreated
+        live: {},               // Latest live value per PID key
+        autoRecord: false,
+        autoStarted: false,     // Recording was started by us, so we may stop it
+        lastMatch: 0,
+
         /**
          * Initialize freeze frame reader
          */
@@ -33,82 +63,303 @@
         },
 
         /**
-         * Read freeze frame data (Mode 02)
+         * Read every stored freeze frame (Mode 02)
          * Mode 02 uses same PID codes as Mode 01, but returns stored snapshot
          */
-        async readFreezeFrame(dtcCode = null) {
-            if (window.isSimulating) {
-                this.renderSimulatedFreezeFrame();
-                return;
-            }
-
+        async readFreezeFrame() {
             try {
                 System.log('FreezeFrame', 'Reading freeze frame data...');
-                
-                // First, check if freeze frame data exists (Mode 02 PID 00)
-                const availableRaw = await window.obd.sendCommand('0200');
-                const available = window.parseOBDResponse(availableRaw, '4200');
-                
-                if (!available) {
-                    throw new Error('No freeze frame data available');
-                }
-                
-                // Read freeze frame for common PIDs
-                const frame = {
-                    dtc: dtcCode || 'Unknown',
-                    timestamp: new Date(),
-                    data: {}
-                };
-                
-                // Request key PIDs from freeze frame
-                const pidsToRead = [
-                    { code: '020C', name: 'RPM', pid: PIDS.RPM },
-                    { code: '020D', name: 'SPEED', pid: PIDS.SPEED },
-                    { code: '0205', name: 'COOLANT', pid: PIDS.COOLANT },
-                    { code: '0204', name: 'ENGINE_LOAD', pid: PIDS.ENGINE_LOAD },
-                    { code: '0206', name: 'SHORT_FUEL_TRIM', pid: PIDS.SHORT_FUEL_TRIM_1 },
-                    { code: '020E', name: 'TIMING', pid: PIDS.TIMING_ADVANCE },
-                    { code: '0210', name: 'MAF', pid: PIDS.MAF_RATE },
-                    { code: '0214', name: 'O2_SENSOR', pid: PIDS.O2_B1S1 }
-                ];
-                
-                for (const pidInfo of pidsToRead) {
-                    try {
-                        const raw = await window.obd.sendCommand(pidInfo.code);
-                        const bytes = window.parseOBDResponse(raw, '42' + pidInfo.code.substring(2));
-                        const value = pidInfo.pid.parse(bytes);
-                        
-                        if (value !== null) {
-                            frame.data[pidInfo.name] = {
-                                value: value,
-                                unit: pidInfo.pid.unit
-                            };
-                        }
-                    } catch (err) {
-                        // PID not available in freeze frame, skip
-                    }
-                }
-                
-                this.freezeFrames.push(frame);
-                this.selectedFrame = frame;
+
+                const frames = await this.captureFrames();
+                this.stopReproduce();
+                this.freezeFrames = frames;
+                this.selectedFrame = frames[0] || null;
                 this.render();
-                
-                System.log('FreezeFrame', `✓ Freeze frame captured for ${dtcCode || 'fault'}`);
-                
+
+                if (frames.length === 0) {
+                    alert('No freeze frame data available.\n\nFreeze frame is only stored when a fault first occurs.');
+                    return;
+                }
+                System.log('FreezeFrame', `✓ ${frames.length} freeze frame(s) read: ${frames.map(f => f.dtc).join(', ')}`);
+
             } catch (err) {
                 System.log('FreezeFrame', `Error: ${err.message}`);
-                alert('No freeze frame data available.\n\nFreeze frame is only stored when a fault first occurs.');
+                alert('Failed to read freeze frame data.');
+            }
+        },
+
+        /**
+         * Read all frames without touching the UI
+         * Used directly by the clear workflow to keep a copy before Mode 04
+         * @returns {Promise<Object[]>} - Empty when the ECUs hold no freeze frame
+         */
+        async captureFrames() {
+            if (window.isSimulating) return this.simulatedFrames();
+
+            const frames = [];
+            for (let n = 0; n < MAX_FRAMES; n++) {
+                const fn = n.toString(16).toUpperCase().padStart(2, '0');
+                const found = await this.readFrame(fn);
+                if (found.length === 0) break;
+                frames.push(...found);
+            }
+            return frames;
+        },
+
+        /**
+         * Read one frame number from every ECU that stored it
+         * @param {string} fn - Frame number as 2 hex digits
+         */
+        async readFrame(fn) {
+            // PID 02: DTC that caused this frame, 0000 = frame not stored
+            let dtcByECU;
+            try {
+                dtcByECU = await window.obd.sendCommandByECU('0202' + fn, '4202' + fn);
+            } catch (err) {
+                return [];
+            }
+
+            const frames = {};
+            Object.keys(dtcByECU).forEach(ecu => {
+                const bytes = dtcByECU[ecu];
+                if (bytes.length < 2) return;
+                const hex = bytes.slice(0, 2).map(b => b.toString(16).padStart(2, '0')).join('');
+                const dtc = window.decodeDTC(hex);
+                if (!dtc) return;
+                frames[ecu] = { ecu, frame: parseInt(fn, 16), dtc, timestamp: new Date(), data: {} };
+            });
+            if (Object.keys(frames).length === 0) return [];
+
+            // Which PIDs did each ECU capture?
+            const supported = await this.readFrameSupport(fn, Object.keys(frames));
+
+            const wanted = new Set();
+            Object.values(supported).forEach(pids => pids.forEach(pid => wanted.add(pid)));
+
+            for (const pid of wanted) {
+                // Bitmaps and the DTC PID are not sensor data
+                if (BITMAP_BASES.includes(pid) || pid === '02') continue;
+                const def = window.getPIDByCode('01' + pid);
+                if (!def) continue;
+
+                try {
+                    const byECU = await window.obd.sendCommandByECU('02' + pid + fn, '42' + pid + fn);
+                    Object.keys(byECU).forEach(ecu => {
+                        if (!frames[ecu] || !supported[ecu]?.has(pid)) return;
+                        const value = def.parse(byECU[ecu]);
+                        if (value === null || value === undefined) return;
+                        frames[ecu].data[def.key] = { value, unit: def.unit, label: def.label };
+                    });
+                } catch (err) {
+                    // PID not available in freeze frame, skip
+                }
             }
+
+            return Object.values(frames);
+        },
+
+        /**
+         * Walk the Mode 02 supported-PID bitmaps for one frame
+         * @returns {Promise<Object<string, Set<string>>>} - ECU -> Set of 2-digit PIDs
+         */
+        async readFrameSupport(fn, ecus) {
+            const supported = {};
+            ecus.forEach(ecu => supported[ecu] = new Set());
+
+            for (const base of BITMAP_BASES) {
+                if (base !== '00' && !ecus.some(ecu => supported[ecu].has(base))) break;
+                try {
+                    const byECU = await window.obd.sendCommandByECU('02' + base + fn, '42' + base + fn);
+                    Object.keys(byECU).forEach(ecu => {
+                        if (!supported[ecu]) return;
+                        window.decodePIDBitmap(base, byECU[ecu]).forEach(pid => supported[ecu].add(pid));
+                    });
+                } catch (err) {
+                    break;
+                }
+            }
+            return supported;
+        },
+
+        /**
+         * Frame stored for a DTC, if one was read
+         */
+        frameFor(dtc) {
+            return this.freezeFrames.find(f => f.dtc === dtc) || null;
+        },
+
+        /**
+         * Open the Freeze Frame view on the frame a DTC stored
+         * Reads the frames first when that has not happened yet
+         */
+        async showForDTC(dtc) {
+            window.switchView?.('freezeframe');
+            if (!this.frameFor(dtc)) {
+                this.freezeFrames = await this.captureFrames().catch(() => []);
+            }
+            const frame = this.frameFor(dtc) || this.freezeFrames[0] || null;
+            if (frame !== this.reproducing) this.stopReproduce();
+            this.selectedFrame = frame;
+            this.render(this.frameFor(dtc) ? null : dtc);
+        },
+
+        select(index) {
+            const frame = this.freezeFrames[index] || null;
+            if (frame === this.selectedFrame) return;
+            this.stopReproduce();
+            this.selectedFrame = frame;
+            this.render();
+        },
+
+        /**
+         * Stream the selected frame's PIDs live
+         */
+        startReproduce() {
+            const frame = this.selectedFrame;
+            const scheduler = System.activeApps.scheduler;
+            if (!frame || !scheduler) return;
+
+            const pids = Object.keys(frame.data).filter(key => typeof frame.data[key].value === 'number');
+            if (pids.length === 0) return;
+
+            this.reproducing = frame;
+            this.live = {};
+            this.lastMatch = 0;
+            scheduler.subscribe({
+                id: REPRODUCE_ID,
+                pids,
+                interval: REPRODUCE_INTERVAL,
+                priority: 'high',
+                when: () => document.getElementById('freezeframe')?.classList.contains('active'),
+                onData: (values) => this.updateLive(values),
+                simulate: () => this.updateLive(this.generateSimData(frame, pids))
+            });
+
+            System.log('FreezeFrame', `▶ Reproducing ${frame.dtc} conditions (${pids.length} PIDs live)`);
+            this.render();
+        },
+
+        stopReproduce() {
+            if (!this.reproducing) return;
+            System.activeApps.scheduler?.unsubscribe(REPRODUCE_ID);
+            this.stopAutoRecording();
+            this.reproducing = null;
+            this.live = {};
+            System.log('FreezeFrame', '⏹ Reproduce mode stopped');
+            this.render();
+        },
+
+        toggleReproduce() {
+            if (this.reproducing) {
+                this.stopReproduce();
+            } else {
+                this.startReproduce();
+            }
+        },
+
+        setAutoRecord(enabled) {
+            this.autoRecord = enabled;
+            if (!enabled) this.stopAutoRecording();
+        },
+
+        /**
+         * How close a live value is to the stored one
+         * @returns {string} - 'match' | 'near' | 'far' | 'unknown'
+         */
+        closeness(key, stored, live) {
+            if (typeof live !== 'number' || typeof stored !== 'number') return 'unknown';
+            // PIDs without a set tolerance get 10% of the stored value
+            const tolerance = MATCH_TOLERANCE[key] ?? Math.max(Math.abs(stored) * 0.1, 1);
+            const diff = Math.abs(live - stored);
+            if (diff <= tolerance) return 'match';
+            return diff <= tolerance * 2 ? 'near' : 'far';
+        },
+
+        /**
+         * Are all key conditions (RPM/load/coolant/speed) in the frame matched?
+         */
+        conditionsMatch() {
+            const frame = this.reproducing;
+            const keys = Object.keys(MATCH_TOLERANCE).filter(key => frame.data[key]);
+            return keys.length > 0 && keys.every(key => this.closeness(key, frame.data[key].value, this.live[key]) === 'match');
+        },
+
+        /**
+         * New live values - update the cells in place rather than re-rendering
+         */
+        updateLive(values) {
+            if (!this.reproducing) return;
+            Object.assign(this.live, values);
+            // The dashboard is not polling while this view is open - feed the recorder directly
+            System.activeApps.recorder?.pushSample(values);
+
+            const colors = { match: 'var(--green)', near: 'var(--orange)', far: 'var(--muted)', unknown: 'var(--muted)' };
+            Object.keys(this.reproducing.data).forEach(key => {
+                const cell = document.getElementById(`ff-live-${key}`);
+                if (!cell) return;
+                const live = this.live[key];
+                cell.textContent = typeof live === 'number' ? `now ${live.toFixed(1)}` : 'now --';
+                cell.style.color = colors[this.closeness(key, this.reproducing.data[key].value, live)];
+            });
+
+            const matched = this.conditionsMatch();
+            if (matched) this.lastMatch = Date.now();
+
+            const banner = document.getElementById('ff-match');
+            if (banner) {
+                banner.textContent = matched ? '✓ At fault conditions' : 'Adjust driving to match the highlighted values';
+                banner.style.color = matched ? 'var(--green)' : 'var(--muted)';
+            }
+
+            this.handleAutoRecord(matched);
+        },
+
+        /**
+         * Start the recorder when conditions line up, stop it once they have
+         * been gone for a while - only if it was started from here
+         */
+        handleAutoRecord(matched) {
+            const recorder = System.activeApps.recorder;
+            if (!this.autoRecord || !recorder) return;
+
+            if (matched && !recorder.isRecording) {
+                recorder.startRecording();
+                this.autoStarted = true;
+                System.log('FreezeFrame', `🔴 ${this.reproducing.dtc} conditions matched - recording started`);
+            } else if (!matched && this.autoStarted && Date.now() - this.lastMatch > AUTO_STOP_DELAY) {
+                this.stopAutoRecording();
+            }
+        },
+
+        stopAutoRecording() {
+            if (!this.autoStarted) return;
+            this.autoStarted = false;
+            System.activeApps.recorder?.stopRecording();
+        },
+
+        /**
+         * Demo: live values swing around the stored ones, matching now and then
+         */
+        generateSimData(frame, pids) {
+            const t = Date.now() / 4000;
+            const values = {};
+            pids.forEach((key, i) => {
+                const stored = frame.data[key].value;
+                const spread = (MATCH_TOLERANCE[key] ?? Math.abs(stored) * 0.1) * 2.5;
+                values[key] = stored + spread * Math.sin(t + i * 0.3);
+            });
+            return values;
         },
 
         /**
          * Render freeze frame data to UI
+         * @param {string} [missingDTC] - Code the user asked for that stored no frame
          */
-        render() {
+        render(missingDTC = null) {
             const container = document.getElementById('freezeframe-content');
             if (!container) return;
-            
-            if (!this.selectedFrame) {
+
+            if (this.freezeFrames.length === 0) {
                 container.innerHTML = `
                     <div style="text-align: center; padding: 40px; color: #666;">
                         <div style="font-size: 48px; margin-bottom: 12px;">📸</div>
@@ -117,110 +368,145 @@
                         </div>
                         <div style="font-size: 12px; line-height: 1.5;">
                             Freeze frame is captured when a fault occurs.<br>
-                            Read DTCs first, then click "View Freeze Frame".
+                            Click "Read" to load every stored frame.
                         </div>
                     </div>
                 `;
                 return;
             }
-            
-            const frame = this.selectedFrame;
-            
+
             container.innerHTML = `
-                <div style="margin-bottom: 16px; padding: 16px; background: white; border-radius: 8px; border-left: 4px solid var(--red);">
-                    <div style="font-size: 16px; font-weight: 700; color: var(--red); margin-bottom: 4px;">
-                        ${frame.dtc}
+                ${missingDTC ? `
+                    <div style="margin-bottom: 12px; padding: 12px; border-radius: 6px; font-size: 12px; color: var(--orange); border: 1px solid var(--orange);">
+                        No freeze frame stored for ${missingDTC} - the ECU keeps one per fault, usually the first.
                     </div>
-                    <div style="font-size: 11px; color: #666;">
-                        Captured: ${frame.timestamp.toLocaleString()}
-                    </div>
-                </div>
-                
-                <div style="background: white; border-radius: 8px; padding: 16px;">
-                    <div style="font-size: 12px; font-weight: 700; margin-bottom: 12px; text-transform: uppercase; opacity: 0.7;">
-                        Conditions When Fault Occurred
-                    </div>
-                    ${this.renderFrameData(frame.data)}
-                </div>
-                
+                ` : ''}
+                ${this.freezeFrames.map((frame, i) => this.renderFrame(frame, i)).join('')}
+
                 <div style="margin-top: 12px; padding: 12px; background: rgba(255,255,255,0.5); border-radius: 6px; font-size: 11px; line-height: 1.5; color: #666;">
-                    <strong>💡 Diagnostic Tip:</strong> Compare these values to normal operating conditions. 
+                    <strong>💡 Diagnostic Tip:</strong> Compare these values to normal operating conditions.
                     Unusual readings (high temp, lean fuel trim, low voltage, etc.) indicate the root cause.
                 </div>
             `;
         },
 
+        /**
+         * One card per frame; the selected one is expanded
+         */
+        renderFrame(frame, index) {
+            const selected = frame === this.selectedFrame;
+            const info = window.describeDTC(frame.dtc);
+
+            return `
+                <div style="margin-bottom: 12px; background: white; border-radius: 8px; border-left: 4px solid ${selected ? 'var(--red)' : 'var(--border)'}; overflow: hidden;">
+                    <div style="padding: 16px; cursor: pointer;" onclick="selectFreezeFrame(${index})">
+                        <div style="font-size: 16px; font-weight: 700; color: var(--red); margin-bottom: 4px;">
+                            ${frame.dtc} - ${info.description}
+                        </div>
+                        <div style="font-size: 11px; color: #666;">
+                            ${window.getECUName(frame.ecu)} · Frame ${frame.frame} · ${Object.keys(frame.data).length} value(s) · Read ${frame.timestamp.toLocaleString()}
+                        </div>
+                    </div>
+                    ${selected ? `
+                        <div style="padding: 0 16px 16px;">
+                            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 12px; flex-wrap: wrap;">
+                                <div style="font-size: 12px; font-weight: 700; text-transform: uppercase; opacity: 0.7; flex: 1;">
+                                    Conditions When Fault Occurred
+                                </div>
+                                ${this.renderReproduceControls(frame)}
+                            </div>
+                            ${this.reproducing === frame ? `
+                                <div id="ff-match" style="font-size: 12px; font-weight: 600; margin-bottom: 10px; color: var(--muted);">
+                                    Waiting for live data...
+                                </div>
+                            ` : ''}
+                            ${this.renderFrameData(frame.data, this.reproducing === frame)}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        },
+
+        renderReproduceControls(frame) {
+            if (!System.activeApps.scheduler || !window.obd?.connected) return '';
+            const active = this.reproducing === frame;
+            return `
+                ${System.activeApps.recorder ? `
+                    <label style="font-size: 11px; color: #666; display: flex; align-items: center; gap: 4px;">
+                        <input type="checkbox" ${this.autoRecord ? 'checked' : ''} onchange="setFreezeFrameAutoRecord(this.checked)">
+                        Auto-record on match
+                    </label>
+                ` : ''}
+                <button class="btn-secondary" onclick="toggleReproduce()">${active ? '⏹ Stop' : '▶ Reproduce'}</button>
+            `;
+        },
+
         /**
          * Render individual data points
+         * @param {boolean} [withLive] - Add a live value line under each stored value
          */
-        renderFrameData(data) {
+        renderFrameData(data, withLive = false) {
             if (Object.keys(data).length === 0) {
                 return '<div style="color: #999; font-size: 12px;">No data available</div>';
             }
-            
+
             let html = '<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">';
-            
-            const labels = {
-                'RPM': 'Engine Speed',
-                'SPEED': 'Vehicle Speed',
-                'COOLANT': 'Coolant Temp',
-                'ENGINE_LOAD': 'Engine Load',
-                'SHORT_FUEL_TRIM': 'Fuel Trim',
-                'TIMING': 'Timing Advance',
-                'MAF': 'Air Flow',
-                'O2_SENSOR': 'O2 Sensor B1S1'
-            };
-            
+
             Object.keys(data).forEach(key => {
                 const item = data[key];
                 html += `
                     <div style="padding: 10px; background: rgba(0,0,0,0.02); border-radius: 6px;">
                         <div style="font-size: 10px; opacity: 0.7; margin-bottom: 4px; font-weight: 600;">
-                            ${labels[key] || key}
+                            ${item.label || key}
                         </div>
                         <div style="font-size: 20px; font-weight: 700; color: var(--accent);">
                             ${typeof item.value === 'number' ? item.value.toFixed(1) : item.value}
                             <span style="font-size: 12px; opacity: 0.6; font-weight: 400;">${item.unit || ''}</span>
                         </div>
+                        ${withLive ? `<div id="ff-live-${key}" style="font-size: 12px; font-weight: 600; color: var(--muted);">now --</div>` : ''}
                     </div>
                 `;
             });
-            
+
             html += '</div>';
             return html;
         },
 
         /**
-         * Generate simulated freeze frame for demo
+         * Simulated frames for demo mode - one per module, matching the demo DTCs
          */
-        renderSimulatedFreezeFrame() {
-            // Simulate a P0420 (Catalyst Efficiency) freeze frame
-            // Show conditions that might cause cat efficiency fault
-            this.selectedFrame = {
-                dtc: 'P0420 - Catalyst System Efficiency Below Threshold',
-                timestamp: new Date(Date.now() - 3600000), // 1 hour ago
-                data: {
-                    'RPM': { value: 2450, unit: 'RPM' },
-                    'SPEED': { value: 85, unit: 'km/h' },
-                    'COOLANT': { value: 92, unit: '°C' },
-                    'ENGINE_LOAD': { value: 45.2, unit: '%' },
-                    'SHORT_FUEL_TRIM': { value: -3.1, unit: '%' },
-                    'TIMING': { value: 12.5, unit: '°' },
-                    'MAF': { value: 8.7, unit: 'g/s' },
-                    'O2_SENSOR': { value: 0.65, unit: 'V' }
-                }
+        simulatedFrames() {
+            const values = (entries) => {
+                const data = {};
+                Object.keys(entries).forEach(key => {
+                    data[key] = { value: entries[key], unit: PIDS[key].unit, label: PIDS[key].label };
+                });
+                return data;
             };
-            
-            this.freezeFrames.push(this.selectedFrame);
-            this.render();
-            
-            System.log('FreezeFrame', '✓ Demo freeze frame loaded');
+            const readAt = new Date();
+
+            return [
+                {
+                    // Misfire under load on a warm engine
+                    ecu: '7E8', frame: 0, dtc: 'P0300', timestamp: readAt,
+                    data: values({
+                        RPM: 2450, SPEED: 85, COOLANT: 92, ENGINE_LOAD: 78.4,
+                        SHORT_FUEL_TRIM_1: 6.3, LONG_FUEL_TRIM_1: 9.4,
+                        TIMING_ADVANCE: 12.5, MAF_RATE: 18.7, O2_B1S1: 0.21
+                    })
+                },
+                {
+                    ecu: '7E9', frame: 0, dtc: 'P0700', timestamp: readAt,
+                    data: values({ RPM: 1800, SPEED: 52, COOLANT: 88, ENGINE_LOAD: 35.1 })
+                }
+            ];
         },
 
         /**
          * Clear all freeze frames
          */
         clear() {
+            this.stopReproduce();
             this.freezeFrames = [];
             this.selectedFrame = null;
             this.render();
@@ -231,26 +517,28 @@
          * Export freeze frame data
          */
         exportFrame() {
-            if (!this.selectedFrame) {
+            if (this.freezeFrames.length === 0) {
                 alert('No freeze frame to export');
                 return;
             }
-            
-            const exportData = {
-                dtc: this.selectedFrame.dtc,
-                timestamp: this.selectedFrame.timestamp.toISOString(),
-                conditions: this.selectedFrame.data
-            };
-            
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], 
+
+            const exportData = this.freezeFrames.map(frame => ({
+                ecu: frame.ecu,
+                frame: frame.frame,
+                dtc: frame.dtc,
+                timestamp: frame.timestamp.toISOString(),
+                conditions: frame.data
+            }));
+
+            const blob = new Blob([JSON.stringify(exportData, null, 2)],
                                  { type: 'application/json' });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `freezeframe-${this.selectedFrame.dtc.split(' ')[0]}-${Date.now()}.json`;
+            a.download = `freezeframe-${this.freezeFrames.map(f => f.dtc).join('-')}-${Date.now()}.json`;
             a.click();
             URL.revokeObjectURL(url);
-            
+
             System.log('FreezeFrame', 'Freeze frame exported');
         },
 
@@ -258,6 +546,10 @@
          * Shutdown
          */
         shutdown() {
+            // Frames belong to the vehicle that was connected
+            this.stopReproduce();
+            this.freezeFrames = [];
+            this.selectedFrame = null;
             System.log('FreezeFrame', 'Shutdown complete');
         }
     };
@@ -265,10 +557,13 @@
     // Register
     window.System.activeApps.freezeframe = FreezeFrameApp;
     FreezeFrameApp.init();
-    
+
     // Global helpers
     window.readFreezeFrame = () => FreezeFrameApp.readFreezeFrame();
     window.clearFreezeFrame = () => FreezeFrameApp.clear();
     window.exportFreezeFrame = () => FreezeFrameApp.exportFrame();
+    window.selectFreezeFrame = (index) => FreezeFrameApp.select(index);
+    window.showFreezeFrameFor = (dtc) => FreezeFrameApp.showForDTC(dtc);
+    window.toggleReproduce = () => FreezeFrameApp.toggleReproduce();
+    window.setFreezeFrameAutoRecord = (enabled) => FreezeFrameApp.setAutoRecord(enabled);
 })();
-
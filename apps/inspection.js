@@ -0,0 +1,343 @@
+/**
+ * Gnokestation Inspection Pre-Check v1.0
+ * Predicts the result of an emissions (I/M) plug-in test before the visit
+ *
+ * Combines in one report:
+ * - MIL status and readiness per ECU (Mode 01 PID 01)
+ * - Confirmed / pending / permanent codes (Mode 03 / 07 / 0A)
+ * - Distance since codes were cleared (PID 31)
+ * - Model year from the VIN plugin
+ *
+ * Region rule sets decide how many incomplete monitors are allowed and
+ * which findings fail the test. They follow common published practice;
+ * the testing station's own rules always win.
+ */
+
+(() => {
+    const REGION_KEY = 'gnoke_obd2_im_region';
+    const RECENT_CLEAR_KM = 80;  // Less than this since a clear is a red flag to inspectors
+
+    // Continuous monitors are not counted by I/M programs
+    const CONTINUOUS = ['misfire', 'fuelSystem', 'components'];
+
+    // Inspection rule sets
+    // allowedIncomplete(year): non-continuous monitors that may be incomplete
+    // fails: which findings fail the test rather than warn
+    const REGION_RULES = {
+        us: {
+            name: 'US (EPA guidance)',
+            allowedIncomplete: (year) => year >= 2001 ? 1 : 2,
+            fails: { pending: false, permanent: true, readiness: true }
+        },
+        california: {
+            name: 'California (BAR)',
+            allowedIncomplete: (year) => year >= 2000 ? 1 : 2,
+            fails: { pending: false, permanent: true, readiness: true }
+        },
+        eu: {
+            name: 'EU / UK (EOBD)',
+            allowedIncomplete: () => 0,
+            fails: { pending: false, permanent: false, readiness: false }
+        },
+        strict: {
+            name: 'Strict (all monitors ready, no codes)',
+            allowedIncomplete: () => 0,
+            fails: { pending: true, permanent: true, readiness: true }
+        }
+    };
+
+    const VERDICTS = {
+        pass: { label: '✓ PASS', color: 'var(--green)' },
+        warn: { label: '✓ PASS WITH WARNINGS', color: 'var(--orange)' },
+        notReady: { label: '⚠️ NOT READY', color: 'var(--orange)' },
+        fail: { label: '✕ FAIL', color: 'var(--red)' }
+    };
+
+    const RESULT_COLORS = { pass: 'var(--green)', warn: 'var(--orange)', fail: 'var(--red)', info: 'var(--muted)' };
+
+    const InspectionApp = {
+        id: 'inspection',
+        REGION_RULES,
+        region: 'us',
+        report: null,
+        isChecking: false,
+
+        init() {
+            System.log('Inspection', 'Initializing inspection pre-check...');
+            const saved = localStorage.getItem(REGION_KEY);
+            if (saved && REGION_RULES[saved]) this.region = saved;
+            System.log('Inspection', '✓ Ready');
+        },
+
+        setRegion(id) {
+            if (!REGION_RULES[id]) return;
+            this.region = id;
+            localStorage.setItem(REGION_KEY, id);
+            // Re-judge the data already read, no need to hit the bus again
+            if (this.report) this.report = this.evaluate(this.report.data);
+            this.render();
+        },
+
+        /**
+         * Incomplete monitors the selected region allows for the connected vehicle
+         * Used by the Readiness summary
+         * @returns {{ allowed: number, name: string }}
+         */
+        allowedIncomplete() {
+            const year = System.activeApps.vin?.vehicleInfo.year;
+            const rules = REGION_RULES[this.region];
+            return {
+                allowed: rules.allowedIncomplete(typeof year === 'number' ? year : new Date().getFullYear()),
+                name: rules.name
+            };
+        },
+
+        /**
+         * Read everything the check needs, then judge it
+         */
+        async run() {
+            if (this.isChecking) return;
+            const diagnostics = System.activeApps.diagnostics;
+            if (!diagnostics) return;
+            if (!window.obd?.connected) {
+                alert('Connect to the vehicle first.');
+                return;
+            }
+
+            this.isChecking = true;
+            const container = document.getElementById('inspection-report');
+            if (container) container.innerHTML = '<div class="dtc-status">🔍 Running pre-check...</div>';
+            System.log('Inspection', 'Pre-check started');
+
+            try {
+                await System.activeApps.dtcdb?.loadGeneric();
+                const vin = await System.activeApps.vin?.identify?.() || null;
+                const year = System.activeApps.vin?.vehicleInfo.year;
+
+                const data = {
+                    timestamp: new Date(),
+                    vin,
+                    year: typeof year === 'number' ? year : null,
+                    status: await diagnostics.readStatus(),
+                    codes: await diagnostics.readAllCodes(),
+                    distance: await this.readDistance()
+                };
+
+                this.report = this.evaluate(data);
+                System.log('Inspection', `✓ Pre-check: ${VERDICTS[this.report.verdict].label} (${this.report.rules.name})`);
+            } catch (err) {
+                System.log('Inspection', `Error: ${err.message}`);
+                this.report = null;
+                if (container) container.innerHTML = '<div class="dtc-error">Pre-check failed</div>';
+                return;
+            } finally {
+                this.isChecking = false;
+            }
+
+            this.render();
+        },
+
+        /**
+         * Distance since codes were cleared (PID 31), null when unsupported
+         */
+        async readDistance() {
+            if (window.isSimulating) {
+                return System.activeApps.diagnostics?.simCleared ? 12 : 1840;
+            }
+            return System.activeApps.readiness
+                ? System.activeApps.readiness.readCounter(PIDS.DISTANCE_SINCE_CLEAR)
+                : null;
+        },
+
+        /**
+         * Apply the selected rule set to the data read
+         * @returns {Object} - { data, rules, checks: [{ label, result, detail }], incomplete, verdict }
+         */
+        evaluate(data) {
+            const rules = REGION_RULES[this.region];
+            const checks = [];
+            const add = (label, result, detail) => checks.push({ label, result, detail });
+            const codesIn = (category) => [...new Set(Object.values(data.codes?.[category] || {}).flat())];
+
+            // Model year
+            if (data.year === null) {
+                add('Model year', 'info', 'Unknown - newest-vehicle limits applied');
+            } else if (data.year < 1996) {
+                add('Model year', 'info', `${data.year} - older than OBD-II, a plug-in test may not apply`);
+            } else {
+                add('Model year', 'info', String(data.year));
+            }
+
+            // MIL
+            if (!data.status) {
+                add('Check engine light', 'fail', 'Mode 01 status could not be read - the station will not be able to test either');
+            } else {
+                const milOn = Object.keys(data.status).filter(ecu => data.status[ecu].milStatus);
+                add('Check engine light', milOn.length ? 'fail' : 'pass',
+                    milOn.length ? `Commanded ON by ${milOn.map(ecu => window.getECUName(ecu)).join(', ')}` : 'Off');
+            }
+
+            // Codes
+            const confirmed = codesIn('confirmed');
+            const pending = codesIn('pending');
+            const permanent = codesIn('permanent');
+            add('Confirmed codes', confirmed.length ? 'warn' : 'pass',
+                confirmed.length ? confirmed.join(', ') : 'None');
+            add('Pending codes', pending.length ? (rules.fails.pending ? 'fail' : 'warn') : 'pass',
+                pending.length ? `${pending.join(', ')} - may turn the MIL on before the test` : 'None');
+            add('Permanent codes', permanent.length ? (rules.fails.permanent ? 'fail' : 'warn') : 'pass',
+                permanent.length ? `${permanent.join(', ')} - only clear after the ECU re-tests the fault` : 'None');
+
+            // Readiness - non-continuous monitors, merged over every ECU
+            const readiness = System.activeApps.readiness;
+            const incomplete = {};
+            let incompleteCount = 0;
+            if (data.status && readiness) {
+                const merged = readiness.mergeMonitors(Object.values(data.status));
+                incompleteCount = Object.keys(merged)
+                    .filter(key => !CONTINUOUS.includes(key) && merged[key].supported && !merged[key].complete).length;
+
+                Object.keys(data.status).forEach(ecu => {
+                    const monitors = data.status[ecu].monitors;
+                    const keys = Object.keys(monitors).filter(key => monitors[key].supported && !monitors[key].complete);
+                    if (keys.length) incomplete[ecu] = keys.map(key => readiness.MONITOR_NAMES[key] || key);
+                });
+
+                const allowed = rules.allowedIncomplete(data.year ?? new Date().getFullYear());
+                const detail = `${incompleteCount} incomplete, ${allowed} allowed`;
+                if (incompleteCount <= allowed) {
+                    add('Readiness monitors', incompleteCount ? 'warn' : 'pass', detail);
+                } else {
+                    add('Readiness monitors', rules.fails.readiness ? 'fail' : 'warn', `${detail} - drive to complete them first`);
+                }
+            } else {
+                add('Readiness monitors', 'info', 'Not available');
+            }
+
+            // Distance since clear
+            if (data.distance === null || data.distance === undefined) {
+                add('Distance since clear', 'info', 'Not reported by this vehicle');
+            } else if (data.distance < RECENT_CLEAR_KM) {
+                add('Distance since clear', 'warn', `${data.distance} km - codes were cleared recently, stations may reject the test`);
+            } else {
+                add('Distance since clear', 'pass', `${data.distance} km`);
+            }
+
+            // Readiness alone failing means "come back later", not a fault
+            const failed = checks.filter(c => c.result === 'fail');
+            let verdict = 'pass';
+            if (failed.length) {
+                verdict = failed.every(c => c.label === 'Readiness monitors') ? 'notReady' : 'fail';
+            } else if (checks.some(c => c.result === 'warn')) {
+                verdict = 'warn';
+            }
+
+            return { data, rules, checks, incomplete, verdict };
+        },
+
+        render() {
+            const container = document.getElementById('inspection-report');
+            if (!container) return;
+
+            const regionSelect = `
+                <select class="dash-layout-select" onchange="setInspectionRegion(this.value)">
+                    ${Object.keys(REGION_RULES).map(id => `<option value="${id}" ${id === this.region ? 'selected' : ''}>${REGION_RULES[id].name}</option>`).join('')}
+                </select>
+            `;
+
+            if (!this.report) {
+                container.innerHTML = `
+                    <div class="history-head">${regionSelect}</div>
+                    <div class="dtc-empty">Run the pre-check with the engine running or the ignition on.</div>
+                `;
+                return;
+            }
+
+            const { data, checks, incomplete, verdict } = this.report;
+            const ecus = Object.keys(incomplete);
+
+            container.innerHTML = `
+                <div class="history-head no-print">${regionSelect}</div>
+                <div class="inspection-verdict" style="background:${VERDICTS[verdict].color};">
+                    <div>${VERDICTS[verdict].label}</div>
+                    <div class="inspection-sub">${this.report.rules.name} · ${data.timestamp.toLocaleString()}${data.vin ? ` · ${data.vin}` : ''}</div>
+                </div>
+                <table class="info-table inspection-table">
+                    ${checks.map(c => `
+                        <tr>
+                            <td>${c.label}</td>
+                            <td style="color:${RESULT_COLORS[c.result]};font-weight:600;">${c.result.toUpperCase()}</td>
+                            <td>${c.detail}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                ${ecus.length ? `
+                    <div class="dtc-section">Incomplete monitors per module</div>
+                    ${ecus.map(ecu => `
+                        <div class="dtc-module">
+                            <span>${window.getECUName(ecu)}</span>
+                            <span class="dtc-module-addr">${ecu}</span>
+                        </div>
+                        <div class="history-events">${incomplete[ecu].map(name => `<div>${name}</div>`).join('')}</div>
+                    `).join('')}
+                ` : ''}
+                <p class="hint">A prediction only - the testing station's own rules and equipment decide the result.</p>
+            `;
+        },
+
+        print() {
+            if (!this.report) {
+                alert('Run the pre-check first');
+                return;
+            }
+            window.print();
+        },
+
+        exportReport() {
+            if (!this.report) {
+                alert('Run the pre-check first');
+                return;
+            }
+
+            const { data, rules, checks, incomplete, verdict } = this.report;
+            const exportData = {
+                timestamp: data.timestamp.toISOString(),
+                vin: data.vin,
+                modelYear: data.year,
+                region: rules.name,
+                verdict: VERDICTS[verdict].label,
+                checks,
+                incompleteMonitors: incomplete,
+                codes: data.codes,
+                distanceSinceClear: data.distance
+            };
+
+            const blob = new Blob([JSON.stringify(exportData, null, 2)],
+                                 { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `inspection-precheck-${data.vin || 'vehicle'}-${Date.now()}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            System.log('Inspection', 'Pre-check report exported');
+        },
+
+        shutdown() {
+            // The report belongs to the vehicle that was connected
+            this.report = null;
+            this.render();
+        }
+    };
+
+    window.System.activeApps.inspection = InspectionApp;
+    InspectionApp.init();
+
+    // Global helpers
+    window.showInspection = () => InspectionApp.render();
+    window.runInspectionCheck = () => InspectionApp.run();
+    window.setInspectionRegion = (id) => InspectionApp.setRegion(id);
+    window.printInspectionReport = () => InspectionApp.print();
+    window.exportInspectionReport = () => InspectionApp.exportReport();
+})();
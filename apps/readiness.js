@@ -1,16 +1,79 @@
 /**
- * Gnokestation Readiness Monitors v1.0
+ * Gnokestation Readiness Monitors v1.2
  * 
  * Critical for emissions testing/inspection!
  * Shows which OBD-II monitors have completed their self-tests
  * 
+ * - PID 01: monitor status since DTCs were cleared ("ever")
+ * - PID 41: monitor status this drive cycle ("today")
+ * - PID 30/31: warm-ups and distance since DTCs were cleared
+ * 
+ * Bit 3 of byte B marks a compression-ignition (diesel) engine, which
+ * reports a different set of non-continuous monitors in bytes C/D.
+ * 
  * In many regions, you CANNOT pass inspection until all monitors show "Ready"
  * This is a MUST-HAVE feature that AndrOBD has
  */
 
 (() => {
+    const MONITOR_NAMES = {
+        misfire: 'Misfire Monitor',
+        fuelSystem: 'Fuel System Monitor',
+        components: 'Comprehensive Components',
+        // Spark ignition
+        catalyst: 'Catalyst Monitor',
+        heatedCatalyst: 'Heated Catalyst',
+        evapSystem: 'EVAP System',
+        secondaryAir: 'Secondary Air System',
+        acRefrigerant: 'A/C Refrigerant',
+        oxygenSensor: 'O2 Sensor Monitor',
+        oxygenSensorHeater: 'O2 Sensor Heater',
+        egrSystem: 'EGR System',
+        // Compression ignition
+        nmhcCatalyst: 'NMHC Catalyst',
+        noxAftertreatment: 'NOx/SCR Aftertreatment',
+        boostPressure: 'Boost Pressure',
+        exhaustGasSensor: 'Exhaust Gas Sensor',
+        pmFilter: 'PM Filter',
+        egrVvt: 'EGR/VVT System'
+    };
+
+    // Byte B bits 0-2: continuous monitor supported, bits 4-6: incomplete
+    const CONTINUOUS_MONITORS = ['misfire', 'fuelSystem', 'components'];
+    const COMPRESSION_BIT = 0x08;
+
+    // Byte C bit n: supported, byte D bit n: incomplete (null = reserved)
+    const NON_CONTINUOUS_MONITORS = {
+        spark: ['catalyst', 'heatedCatalyst', 'evapSystem', 'secondaryAir',
+                'acRefrigerant', 'oxygenSensor', 'oxygenSensorHeater', 'egrSystem'],
+        compression: ['nmhcCatalyst', 'noxAftertreatment', null, 'boostPressure',
+                      null, 'exhaustGasSensor', 'pmFilter', 'egrVvt']
+    };
+
+    const IGNITION_LABELS = { spark: 'Spark ignition (petrol)', compression: 'Compression ignition (diesel)' };
+
+    // Demo vehicles as raw PID 01 / PID 41 bytes (A B C D) per ECU
+    const SIM_PROFILES = {
+        spark: {
+            // ECM mostly ready with the heated catalyst pending; TCM only runs components
+            status: { '7E8': [0x00, 0x07, 0xE7, 0x02], '7E9': [0x00, 0x04, 0x00, 0x00] },
+            // This drive: warm-up done, catalyst/EGR still waiting, EVAP disabled
+            driveCycle: { '7E8': [0x00, 0x07, 0xE3, 0x83], '7E9': [0x00, 0x04, 0x00, 0x00] },
+            warmups: 14,
+            distance: 312
+        },
+        compression: {
+            // ECM with the NOx/SCR and PM filter monitors still to run
+            status: { '7E8': [0x00, 0x0F, 0xEB, 0x42], '7E9': [0x00, 0x04, 0x00, 0x00] },
+            driveCycle: { '7E8': [0x00, 0x0F, 0xEB, 0x43], '7E9': [0x00, 0x04, 0x00, 0x00] },
+            warmups: 6,
+            distance: 148
+        }
+    };
+
     const ReadinessApp = {
         id: 'readiness',
+        MONITOR_NAMES,
         
         // Monitor status
         monitors: {
@@ -30,6 +93,20 @@
         // System status
         milStatus: false, // Malfunction Indicator Lamp (Check Engine Light)
         dtcCount: 0,
+        ignition: 'spark', // 'spark' | 'compression'
+        simProfile: 'spark',
+
+        // Per-module status keyed by ECU address ('7E8', '7E9', ...)
+        // monitors/milStatus/dtcCount above hold the merged vehicle view
+        ecuStatus: {},
+
+        // This drive cycle (PID 41) - same shape, null when unsupported
+        driveCycle: null,
+        ecuDriveCycle: {},
+
+        // Since codes cleared (PID 30 / 31), null when unsupported
+        warmups: null,
+        distance: null,
 
         /**
          * Initialize readiness monitor
@@ -51,14 +128,24 @@
             try {
                 System.log('Readiness', 'Reading monitor status...');
                 
-                const raw = await window.obd.sendCommand('0101');
-                const bytes = window.parseOBDResponse(raw, '4101');
+                const byECU = await window.obd.sendCommandByECU('0101', '4101');
                 
-                if (!bytes || bytes.length < 4) {
+                this.ecuStatus = {};
+                Object.keys(byECU).forEach(ecu => {
+                    if (byECU[ecu].length >= 4) {
+                        this.ecuStatus[ecu] = this.parseStatus(byECU[ecu]);
+                    }
+                });
+                
+                if (Object.keys(this.ecuStatus).length === 0) {
                     throw new Error('Invalid response from vehicle');
                 }
                 
-                this.parseStatus(bytes);
+                await this.readDriveCycle();
+                this.warmups = await this.readCounter(PIDS.WARMUPS_SINCE_CLEAR);
+                this.distance = await this.readCounter(PIDS.DISTANCE_SINCE_CLEAR);
+                
+                this.mergeStatus();
                 this.render();
                 
                 System.log('Readiness', `✓ Status read - MIL: ${this.milStatus ? 'ON' : 'OFF'}, DTCs: ${this.dtcCount}`);
@@ -70,67 +157,117 @@
         },
 
         /**
-         * Parse Mode 01 PID 01 response
+         * Read monitor status this drive cycle (Mode 01 PID 41)
+         * Bytes B-D use the PID 01 layout; byte A is reserved
+         */
+        async readDriveCycle() {
+            this.ecuDriveCycle = {};
+            try {
+                const byECU = await window.obd.sendCommandByECU('0141', '4141');
+                Object.keys(byECU).forEach(ecu => {
+                    if (byECU[ecu].length >= 4) {
+                        this.ecuDriveCycle[ecu] = this.parseStatus(byECU[ecu]);
+                    }
+                });
+            } catch (err) {
+                System.log('Readiness', 'PID 41 not supported - drive cycle status unavailable');
+            }
+        },
+
+        /**
+         * Quiet PID 41 re-read for the drive cycle coach
+         * @returns {Promise<Object|null>} - Merged drive cycle monitors, null when unsupported
+         */
+        async refreshDriveCycle() {
+            await this.readDriveCycle();
+            this.mergeStatus();
+            this.render();
+            return this.driveCycle;
+        },
+
+        /**
+         * Read a single-value PID, null when the vehicle does not answer
+         */
+        async readCounter(def) {
+            try {
+                const raw = await window.obd.sendCommand(def.code);
+                return def.parse(window.parseOBDResponse(raw, '41' + def.code.substring(2)));
+            } catch (err) {
+                return null;
+            }
+        },
+
+        /**
+         * Parse Mode 01 PID 01 response (PID 41 uses the same B-D layout)
          * Format: A B C D
          * A: MIL status and DTC count
-         * B: Test availability (bit flags)
-         * C: Test completion (bit flags)
-         * D: Additional flags
+         * B: Continuous monitors - bits 0-2 supported, bit 3 diesel, bits 4-6 incomplete
+         * C: Non-continuous monitors supported (bit flags)
+         * D: Non-continuous monitors incomplete (bit flags)
          */
         parseStatus(bytes) {
+            const status = { milStatus: false, dtcCount: 0, ignition: 'spark', monitors: {} };
+            
             // Byte A: MIL and DTC count
-            this.milStatus = (bytes[0] & 0x80) !== 0;
-            this.dtcCount = bytes[0] & 0x7F;
+            status.milStatus = (bytes[0] & 0x80) !== 0;
+            status.dtcCount = bytes[0] & 0x7F;
             
-            // Byte B: Supported tests
-            const supported = bytes[1];
+            // Byte B: Continuous monitors and ignition type
+            CONTINUOUS_MONITORS.forEach((key, bit) => {
+                const supported = (bytes[1] & (1 << bit)) !== 0;
+                status.monitors[key] = {
+                    supported,
+                    complete: supported && (bytes[1] & (0x10 << bit)) === 0 // Inverted logic!
+                };
+            });
+            if (bytes[1] & COMPRESSION_BIT) status.ignition = 'compression';
             
-            // Byte C: Completed tests
-            const complete = bytes[2];
+            // Bytes C/D: Non-continuous monitors for this ignition type
+            NON_CONTINUOUS_MONITORS[status.ignition].forEach((key, bit) => {
+                if (!key) return;
+                const supported = (bytes[2] & (1 << bit)) !== 0;
+                status.monitors[key] = {
+                    supported,
+                    complete: supported && (bytes[3] & (1 << bit)) === 0
+                };
+            });
             
-            // Continuous monitors (always supported)
-            this.monitors.misfire = {
-                supported: true,
-                complete: (complete & 0x10) === 0 // Inverted logic!
-            };
-            this.monitors.fuelSystem = {
-                supported: true,
-                complete: (complete & 0x20) === 0
-            };
-            this.monitors.components = {
-                supported: true,
-                complete: (complete & 0x40) === 0
-            };
+            return status;
+        },
+
+        /**
+         * Merge per-module status into the vehicle-wide view
+         * A monitor is supported if any module runs it, and
+         * complete only when every module that runs it reports complete
+         */
+        mergeStatus() {
+            const modules = Object.values(this.ecuStatus);
             
-            // Non-continuous monitors (check if supported first)
-            this.monitors.catalyst = {
-                supported: (supported & 0x01) !== 0,
-                complete: (supported & 0x01) !== 0 && (complete & 0x01) === 0
-            };
-            this.monitors.heatedCatalyst = {
-                supported: (supported & 0x02) !== 0,
-                complete: (supported & 0x02) !== 0 && (complete & 0x02) === 0
-            };
-            this.monitors.evapSystem = {
-                supported: (supported & 0x04) !== 0,
-                complete: (supported & 0x04) !== 0 && (complete & 0x04) === 0
-            };
-            this.monitors.secondaryAir = {
-                supported: (supported & 0x08) !== 0,
-                complete: (supported & 0x08) !== 0 && (complete & 0x08) === 0
-            };
-            this.monitors.oxygenSensor = {
-                supported: (supported & 0x20) !== 0,
-                complete: (supported & 0x20) !== 0 && (complete & 0x20) === 0
-            };
-            this.monitors.oxygenSensorHeater = {
-                supported: (supported & 0x40) !== 0,
-                complete: (supported & 0x40) !== 0 && (complete & 0x40) === 0
-            };
-            this.monitors.egrSystem = {
-                supported: (supported & 0x80) !== 0,
-                complete: (supported & 0x80) !== 0 && (complete & 0x80) === 0
-            };
+            this.milStatus = modules.some(m => m.milStatus);
+            this.dtcCount = modules.reduce((sum, m) => sum + m.dtcCount, 0);
+            this.monitors = this.mergeMonitors(modules);
+            this.ignition = modules.some(m => m.ignition === 'compression') ? 'compression' : 'spark';
+
+            const cycles = Object.values(this.ecuDriveCycle);
+            this.driveCycle = cycles.length > 0 ? this.mergeMonitors(cycles) : null;
+        },
+
+        /**
+         * Vehicle-wide monitor map from a list of parsed per-module statuses
+         * Also used by the clear workflow to compare before/after
+         */
+        mergeMonitors(modules) {
+            const merged = {};
+            Object.keys(MONITOR_NAMES).forEach(key => {
+                const reports = modules
+                    .map(m => m.monitors[key])
+                    .filter(m => m && m.supported);
+                merged[key] = {
+                    supported: reports.length > 0,
+                    complete: reports.length > 0 && reports.every(m => m.complete)
+                };
+            });
+            return merged;
         },
 
         /**
@@ -165,53 +302,46 @@
             `;
             container.appendChild(milDiv);
             
-            // Monitor list
-            const monitorNames = {
-                misfire: 'Misfire Monitor',
-                fuelSystem: 'Fuel System Monitor',
-                components: 'Comprehensive Components',
-                catalyst: 'Catalyst Monitor',
-                heatedCatalyst: 'Heated Catalyst',
-                evapSystem: 'EVAP System',
-                secondaryAir: 'Secondary Air System',
-                oxygenSensor: 'O2 Sensor Monitor',
-                oxygenSensorHeater: 'O2 Sensor Heater',
-                egrSystem: 'EGR System'
-            };
+            // Engine type and since-clear counters
+            const counters = [
+                this.warmups !== null ? `${this.warmups} warm-up(s)` : null,
+                this.distance !== null ? `${this.distance} km` : null
+            ].filter(Boolean);
+            const infoDiv = document.createElement('div');
+            infoDiv.style.cssText = `
+                font-size: 12px;
+                color: #666;
+                text-align: center;
+                margin-bottom: 12px;
+            `;
+            infoDiv.innerHTML = `
+                ${IGNITION_LABELS[this.ignition]}
+                ${counters.length ? ` · ${counters.join(' · ')} since codes cleared` : ''}
+                ${window.isSimulating ? `
+                    <select class="dash-layout-select" style="margin-left: 8px;" onchange="setReadinessDemoProfile(this.value)">
+                        ${Object.keys(SIM_PROFILES).map(id => `<option value="${id}" ${id === this.simProfile ? 'selected' : ''}>Demo: ${IGNITION_LABELS[id]}</option>`).join('')}
+                    </select>
+                ` : ''}
+            `;
+            container.appendChild(infoDiv);
             
-            Object.keys(this.monitors).forEach(key => {
-                const monitor = this.monitors[key];
-                if (!monitor.supported) return;
-                
-                const monitorDiv = document.createElement('div');
-                monitorDiv.className = 'readiness-monitor';
-                monitorDiv.style.cssText = `
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    padding: 12px;
-                    background: white;
-                    border-radius: 6px;
-                    margin-bottom: 8px;
-                    border-left: 4px solid ${monitor.complete ? 'var(--green)' : 'var(--orange)'};
-                `;
-                
-                monitorDiv.innerHTML = `
-                    <span style="font-size: 14px; font-weight: 600;">${monitorNames[key]}</span>
-                    <span style="
-                        font-size: 12px;
-                        padding: 4px 12px;
-                        border-radius: 4px;
-                        background: ${monitor.complete ? 'var(--green)' : 'var(--orange)'};
-                        color: white;
-                        font-weight: 700;
-                    ">
-                        ${monitor.complete ? '✓ READY' : 'NOT READY'}
-                    </span>
-                `;
-                
-                container.appendChild(monitorDiv);
-            });
+            // Monitor list - one section per module when several ECUs answered
+            const modules = Object.keys(this.ecuStatus);
+            if (modules.length > 1) {
+                modules.forEach(ecu => {
+                    const status = this.ecuStatus[ecu];
+                    const label = document.createElement('div');
+                    label.className = 'dtc-module';
+                    label.innerHTML = `
+                        <span>${window.getECUName(ecu)}</span>
+                        <span class="dtc-module-addr">${ecu} · MIL ${status.milStatus ? 'ON' : 'OFF'} · ${status.dtcCount} DTC(s)</span>
+                    `;
+                    container.appendChild(label);
+                    this.renderMonitors(container, status.monitors, this.ecuDriveCycle[ecu]?.monitors);
+                });
+            } else {
+                this.renderMonitors(container, this.monitors, this.driveCycle);
+            }
             
             // Inspection readiness summary
             const readyCount = Object.values(this.monitors)
@@ -228,7 +358,13 @@
                 text-align: center;
             `;
             
-            const allReady = readyCount === totalCount && !this.milStatus;
+            // Region rules from the pre-check allow some incomplete non-continuous monitors
+            const allowance = System.activeApps.inspection?.allowedIncomplete();
+            const incompleteCount = Object.keys(this.monitors)
+                .filter(key => !CONTINUOUS_MONITORS.includes(key) && this.monitors[key].supported && !this.monitors[key].complete).length;
+            const allReady = !this.milStatus && (allowance
+                ? incompleteCount <= allowance.allowed
+                : readyCount === totalCount);
             summaryDiv.innerHTML = `
                 <div style="font-size: 12px; color: #666; margin-bottom: 4px;">
                     INSPECTION READINESS
@@ -238,12 +374,16 @@
                 </div>
                 <div style="font-size: 11px; margin-top: 4px; color: #666;">
                     ${readyCount} of ${totalCount} monitors complete
+                    ${allowance ? ` · ${allowance.allowed} incomplete allowed (${allowance.name})` : ''}
                 </div>
+                ${allowance ? `
+                    <button class="btn-secondary" style="margin-top: 8px;" onclick="switchView('inspection'); runInspectionCheck();">📋 Full inspection pre-check</button>
+                ` : ''}
             `;
             container.appendChild(summaryDiv);
             
             // Help text
-            if (!allReady) {
+            if (readyCount < totalCount) {
                 const helpDiv = document.createElement('div');
                 helpDiv.style.cssText = `
                     margin-top: 12px;
@@ -260,40 +400,136 @@
                     • Include highway and city driving<br>
                     • Avoid disconnecting battery<br>
                     • Allow vehicle to fully warm up
+                    ${System.activeApps.drivecycle ? `
+                        <div style="margin-top: 10px;">
+                            <button class="btn-secondary" onclick="startDriveCycleCoach()">🚗 Guide me through a drive cycle</button>
+                        </div>
+                    ` : ''}
                 `;
                 container.appendChild(helpDiv);
             }
         },
 
+        /**
+         * Render one list of monitor rows
+         * @param {Object} [cycle] - PID 41 monitors; adds a "this drive" badge per row
+         */
+        renderMonitors(container, monitors, cycle) {
+            Object.keys(monitors).forEach(key => {
+                const monitor = monitors[key];
+                if (!monitor.supported) return;
+                
+                const monitorDiv = document.createElement('div');
+                monitorDiv.className = 'readiness-monitor';
+                monitorDiv.style.cssText = `
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    padding: 12px;
+                    background: white;
+                    border-radius: 6px;
+                    margin-bottom: 8px;
+                    border-left: 4px solid ${monitor.complete ? 'var(--green)' : 'var(--orange)'};
+                `;
+                
+                monitorDiv.innerHTML = `
+                    <span style="font-size: 14px; font-weight: 600;">${MONITOR_NAMES[key]}</span>
+                    <span style="display: flex; gap: 6px;">
+                        ${cycle ? this.renderBadge('This drive', this.driveCycleState(cycle[key])) : ''}
+                        ${this.renderBadge(cycle ? 'Since clear' : '', monitor.complete
+                            ? { text: '✓ READY', color: 'var(--green)' }
+                            : { text: 'NOT READY', color: 'var(--orange)' })}
+                    </span>
+                `;
+                
+                container.appendChild(monitorDiv);
+            });
+        },
+
+        /**
+         * Badge text/colour for a monitor in the PID 41 status
+         * Not enabled means the monitor will not run on this drive
+         */
+        driveCycleState(monitor) {
+            if (!monitor || !monitor.supported) return { text: 'DISABLED', color: 'var(--muted)' };
+            return monitor.complete
+                ? { text: '✓ DONE', color: 'var(--green)' }
+                : { text: 'NOT YET', color: 'var(--orange)' };
+        },
+
+        renderBadge(caption, state) {
+            return `
+                <span style="display: flex; flex-direction: column; align-items: center; gap: 2px;">
+                    ${caption ? `<span style="font-size: 9px; color: #666; text-transform: uppercase;">${caption}</span>` : ''}
+                    <span style="
+                        font-size: 12px;
+                        padding: 4px 12px;
+                        border-radius: 4px;
+                        background: ${state.color};
+                        color: white;
+                        font-weight: 700;
+                    ">
+                        ${state.text}
+                    </span>
+                </span>
+            `;
+        },
+
         /**
          * Generate simulated status for demo mode
+         * Profiles are raw bytes, so the demo goes through the real parser
          */
         renderSimulatedStatus() {
-            // Simulate mostly ready system with one incomplete monitor
-            this.milStatus = false;
-            this.dtcCount = 0;
-            
-            this.monitors = {
-                misfire: { supported: true, complete: true },
-                fuelSystem: { supported: true, complete: true },
-                components: { supported: true, complete: true },
-                catalyst: { supported: true, complete: true },
-                heatedCatalyst: { supported: true, complete: false }, // Not ready
-                evapSystem: { supported: true, complete: true },
-                secondaryAir: { supported: false, complete: false },
-                acRefrigerant: { supported: false, complete: false },
-                oxygenSensor: { supported: true, complete: true },
-                oxygenSensorHeater: { supported: true, complete: true },
-                egrSystem: { supported: true, complete: true }
+            const profile = SIM_PROFILES[this.simProfile];
+            const parseAll = (byECU) => {
+                const parsed = {};
+                Object.keys(byECU).forEach(ecu => parsed[ecu] = this.parseStatus(byECU[ecu]));
+                return parsed;
             };
             
+            this.ecuStatus = parseAll(profile.status);
+            this.ecuDriveCycle = parseAll(profile.driveCycle);
+            this.warmups = profile.warmups;
+            this.distance = profile.distance;
+            
+            this.mergeStatus();
+            this.render();
+        },
+
+        /**
+         * Demo: a monitor finished its self-test on this drive
+         * Used by the drive cycle coach in place of a PID 41 re-read
+         */
+        simulateCompletion(key) {
+            Object.keys(this.ecuStatus).forEach(ecu => {
+                if (!this.ecuStatus[ecu].monitors[key]?.supported) return;
+                this.ecuStatus[ecu].monitors[key].complete = true;
+                if (this.ecuDriveCycle[ecu]) {
+                    this.ecuDriveCycle[ecu].monitors[key] = { supported: true, complete: true };
+                }
+            });
+            this.mergeStatus();
             this.render();
+            return this.driveCycle;
+        },
+
+        /**
+         * Switch the demo vehicle between petrol and diesel
+         */
+        setSimProfile(id) {
+            if (!SIM_PROFILES[id]) return;
+            this.simProfile = id;
+            this.renderSimulatedStatus();
         },
 
         /**
          * Shutdown
          */
         shutdown() {
+            this.ecuDriveCycle = {};
+            this.driveCycle = null;
+            this.warmups = null;
+            this.distance = null;
             System.log('Readiness', 'Shutdown complete');
         }
     };
@@ -302,7 +538,8 @@
     window.System.activeApps.readiness = ReadinessApp;
     ReadinessApp.init();
     
-    // Global helper
+    // Global helpers
     window.readMonitorStatus = () => ReadinessApp.readStatus();
+    window.setReadinessDemoProfile = (id) => ReadinessApp.setSimProfile(id);
 })();
 
@@ -12,6 +12,8 @@
  */
 
 (() => {
+    const PUSHED_STALE_AFTER = 3000; // ms before a pushed value stops being recorded
+
     const RecorderApp = {
         id: 'recorder',
         
@@ -34,6 +36,9 @@
         // Selected PIDs for recording
         recordingPIDs: ['RPM', 'SPEED', 'COOLANT', 'THROTTLE', 'BATTERY'],
 
+        // Values polled by other apps (key -> { value, at }), see pushSample()
+        pushed: {},
+
         /**
          * Initialize recorder
          */
@@ -105,17 +110,17 @@
                 data: {}
             };
             
-            // Collect data from dashboard
-            if (System.activeApps.dashboard) {
-                const dashData = System.activeApps.dashboard.simState || {};
-                Object.assign(snapshot.data, dashData);
-            }
-            
-            // Collect from other plugins
+            // Collect from the dashboard
             for (const pid of this.recordingPIDs) {
                 const value = this.getCurrentPIDValue(pid);
                 if (value !== null) snapshot.data[pid] = value;
             }
+
+            // Values other apps poll themselves win - the dashboard may not be on screen
+            Object.keys(this.pushed).forEach(key => {
+                const { value, at } = this.pushed[key];
+                if (snapshot.timestamp - at <= PUSHED_STALE_AFTER) snapshot.data[key] = value;
+            });
             
             this.recordedData.push(snapshot);
             
@@ -130,25 +135,23 @@
             setTimeout(() => this.captureLoop(), 100);
         },
 
+        /**
+         * Live values from an app with its own scheduler subscription
+         * (e.g. freeze frame reproduce mode), recorded while fresh
+         */
+        pushSample(values) {
+            const at = Date.now();
+            Object.keys(values).forEach(key => {
+                if (typeof values[key] === 'number') this.pushed[key] = { value: values[key], at };
+            });
+        },
+
         /**
          * Get current value for a PID
          */
         getCurrentPIDValue(pidName) {
-            // Try to read from UI elements
-            const elementMap = {
-                'RPM': 'main-val',
-                'SPEED': 'v-speed',
-                'COOLANT': 'v-temp',
-                'THROTTLE': 'throttle-val',
-                'BATTERY': 'batt-val',
-                'FUEL': 'fuel-val'
-            };
-            
-            const el = document.getElementById(elementMap[pidName]);
-            if (el && el.textContent !== '--') {
-                return parseFloat(el.textContent);
-            }
-            return null;
+            // Dashboard keeps the last value of every PID it displays - null once stale
+            return System.activeApps.dashboard?.getLatest(pidName) ?? null;
         },
 
         /**
@@ -382,22 +385,15 @@
          * Apply a snapshot to the UI (during playback)
          */
         applySnapshot(snapshot) {
-            // Update UI elements with snapshot data
+            // Replay PID values through the dashboard's active layout
+            const dashboard = System.activeApps.dashboard;
+            if (!dashboard) return;
+
+            const values = {};
             Object.keys(snapshot.data).forEach(key => {
-                const elementMap = {
-                    'RPM': 'main-val',
-                    'SPEED': 'v-speed',
-                    'COOLANT': 'v-temp',
-                    'THROTTLE': 'throttle-val',
-                    'BATTERY': 'batt-val',
-                    'FUEL': 'fuel-val'
-                };
-                
-                const el = document.getElementById(elementMap[key]);
-                if (el) {
-                    el.textContent = Math.round(snapshot.data[key]);
-                }
+                if (PIDS[key]) values[key] = snapshot.data[key];
             });
+            dashboard.render(values);
         },
 
         /**
@@ -12,12 +12,8 @@
 (() => {
     const TimingApp = {
         id: 'timing',
-        updateInterval: null,
         pollingRate: 500, // 2Hz - balanced for performance monitoring
         isActive: false,
-        supported: { timing: true, load: true }, // Feature detection
-        consecutiveErrors: 0,
-        maxErrors: 3, // Disable after 3 consecutive failures
 
         /**
          * Initialize module and register with system
@@ -25,86 +21,20 @@
         init() {
             System.log('Timing', 'Initializing Timing & Load Monitor...');
             
-            // Only start polling when connected
-            this.updateInterval = setInterval(() => this.tick(), this.pollingRate);
+            // Scheduler polls only while the dashboard is visible and we are active
+            System.activeApps.scheduler.subscribe({
+                id: this.id,
+                pids: ['TIMING_ADVANCE', 'ENGINE_LOAD'],
+                interval: this.pollingRate,
+                priority: 'normal',
+                when: () => this.isActive && document.getElementById('dash')?.classList.contains('active'),
+                onData: (values) => this.render({ timing: values.TIMING_ADVANCE, load: values.ENGINE_LOAD }),
+                simulate: () => this.render(this.generateSimData())
+            });
             
             System.log('Timing', `✓ Ready (${this.pollingRate}ms polling)`);
         },
 
-        /**
-         * Intelligent tick - only polls when dashboard is visible and connected
-         */
-        async tick() {
-            const isDashVisible = document.getElementById('dash')?.classList.contains('active');
-            const isConnected = window.obd?.connected || window.isSimulating;
-            
-            if (!isDashVisible || !isConnected || !this.isActive) return;
-            
-            // Back off if too many errors
-            if (this.consecutiveErrors >= this.maxErrors) {
-                if (this.consecutiveErrors === this.maxErrors) {
-                    System.log('Timing', 'Module disabled after repeated failures');
-                    this.consecutiveErrors++; // Only log once
-                }
-                return;
-            }
-
-            await this.update();
-        },
-
-        /**
-         * Main update cycle
-         */
-        async update() {
-            if (window.isSimulating) {
-                this.render(this.generateSimData());
-                return;
-            }
-
-            try {
-                const data = await this.fetchData();
-                if (data) {
-                    this.render(data);
-                    this.consecutiveErrors = 0; // Reset error counter on success
-                }
-            } catch (err) {
-                this.consecutiveErrors++;
-                System.log('Timing', `Poll error (${this.consecutiveErrors}/${this.maxErrors}): ${err.message}`);
-            }
-        },
-
-        /**
-         * Fetch timing and load data from hardware
-         */
-        async fetchData() {
-            const data = { timing: null, load: null };
-
-            // Only poll supported PIDs
-            if (this.supported.timing) {
-                try {
-                    const timingRaw = await window.obd.sendCommand(PIDS.TIMING_ADVANCE.code);
-                    const bytes = window.parseOBDResponse(timingRaw, '410E');
-                    data.timing = PIDS.TIMING_ADVANCE.parse(bytes);
-                } catch (err) {
-                    this.supported.timing = false;
-                    System.log('Timing', 'PID 010E not supported - timing disabled');
-                }
-            }
-
-            if (this.supported.load) {
-                try {
-                    const loadRaw = await window.obd.sendCommand(PIDS.ENGINE_LOAD.code);
-                    const bytes = window.parseOBDResponse(loadRaw, '4104');
-                    data.load = PIDS.ENGINE_LOAD.parse(bytes);
-                } catch (err) {
-                    this.supported.load = false;
-                    System.log('Timing', 'PID 0104 not supported - load disabled');
-                }
-            }
-
-            return data;
-        },
-
         /**
          * Update UI and perform intelligent monitoring
          */
@@ -196,12 +126,7 @@
          * Shutdown cleanup
          */
         shutdown() {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
-            }
             this.isActive = false;
-            this.consecutiveErrors = 0;
             System.log('Timing', 'Shutdown complete');
         }
     };
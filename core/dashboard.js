@@ -1,15 +1,76 @@
 /**
- * Gnokestation Dashboard App v2.4
- * Feature: Fully animated demo mode with realistic telemetry simulation
- * Fix: All gauges now animate smoothly in demo mode
+ * Gnokestation Dashboard App v3.0
+ * Feature: User-configurable gauge layouts - any PID, any widget
+ * Layouts are named, stored locally and switched via setCategory()
  */
 (() => {
+    const LAYOUTS_KEY = 'gnoke_obd2_dash_layouts';
+    const ACTIVE_KEY = 'gnoke_obd2_dash_active';
+    const HISTORY_LENGTH = 60; // Sparkline samples (6s at 10Hz)
+    const STALE_AFTER = 3000;  // ms before a value no longer counts as live
+
+    // Layout names are typed by the user
+    const escapeHTML = (text) => String(text).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+
+    const WIDGETS = {
+        ring: 'Ring gauge',
+        bar: 'Bar',
+        numeric: 'Numeric',
+        sparkline: 'Sparkline'
+    };
+
+    const COLORS = {
+        accent: 'var(--accent)',
+        green: 'var(--green)',
+        blue: 'var(--blue)',
+        orange: 'var(--orange)',
+        red: 'var(--red)'
+    };
+
+    // Slot: { pid, widget, min, max, warn, crit, color }
+    // warn/crit below each other means "alert when low" (fuel, voltage)
+    const DEFAULT_LAYOUTS = {
+        'Performance': [
+            { pid: 'RPM', widget: 'ring', min: 0, max: 7000, warn: 5500, crit: 6500, color: 'accent' },
+            { pid: 'SPEED', widget: 'numeric', min: 0, max: 240, warn: null, crit: null, color: 'accent' },
+            { pid: 'COOLANT', widget: 'numeric', min: 40, max: 130, warn: 96, crit: 101, color: 'accent' },
+            { pid: 'FUEL_LEVEL', widget: 'ring', min: 0, max: 100, warn: 20, crit: 10, color: 'green' },
+            { pid: 'BATTERY', widget: 'ring', min: 11, max: 15, warn: 12.2, crit: 11.8, color: 'blue' },
+            { pid: 'THROTTLE', widget: 'ring', min: 0, max: 100, warn: null, crit: null, color: 'orange' }
+        ],
+        'Emissions': [
+            { pid: 'SHORT_FUEL_TRIM_1', widget: 'bar', min: -25, max: 25, warn: null, crit: null, color: 'accent' },
+            { pid: 'LONG_FUEL_TRIM_1', widget: 'bar', min: -25, max: 25, warn: null, crit: null, color: 'accent' },
+            { pid: 'O2_B1S1', widget: 'sparkline', min: 0, max: 1, warn: null, crit: null, color: 'green' },
+            { pid: 'O2_B1S2', widget: 'sparkline', min: 0, max: 1, warn: null, crit: null, color: 'blue' },
+            { pid: 'CATALYST_TEMP_B1S1', widget: 'numeric', min: 0, max: 1000, warn: 800, crit: 900, color: 'orange' },
+            { pid: 'MAF_RATE', widget: 'sparkline', min: 0, max: 50, warn: null, crit: null, color: 'accent' }
+        ]
+    };
+
+    // Realistic idle values for PIDs the simulator models explicitly
+    const SIM_BASELINE = {
+        ENGINE_LOAD: 22, ABSOLUTE_LOAD: 20, TIMING_ADVANCE: 12, INTAKE_TEMP: 32,
+        MAF_RATE: 3.2, INTAKE_MAP: 32, BAROMETRIC_PRESSURE: 101, AMBIENT_TEMP: 24,
+        OIL_TEMP: 84, SHORT_FUEL_TRIM_1: 1.5, LONG_FUEL_TRIM_1: -2.3,
+        SHORT_FUEL_TRIM_2: 0.8, LONG_FUEL_TRIM_2: -1.6, O2_B1S2: 0.68, O2_B2S2: 0.7,
+        CATALYST_TEMP_B1S1: 520, CATALYST_TEMP_B2S1: 505, CATALYST_TEMP_B1S2: 430,
+        CATALYST_TEMP_B2S2: 420, FUEL_RATE: 0.9, FUEL_RAIL_PRESSURE_DIRECT: 3500,
+        COMMANDED_EQUIV_RATIO: 1.0
+    };
+
     const DashboardApp = {
         id: 'dashboard',
-        category: 'performance',
-        updateInterval: null,
-        isBusy: false,
-        
+        category: 'Performance', // Active layout name
+        layouts: {},
+        latest: {},   // Last value per PID key - read through getLatest()
+        latestAt: {}, // When each latest value arrived
+        history: {},  // Sparkline samples per PID key
+        editing: false,
+        appliedSupport: undefined, // Capability set the gauge visibility was last built from
+
         // Simulation state for realistic animations
         simState: {
             time: 0,
@@ -23,15 +84,18 @@
 
         init() {
             System.log('Dashboard', 'Initializing Modular Dashboard...');
-            
-            // 100ms refresh for smooth animations (10Hz)
-            this.updateInterval = setInterval(() => this.tick(), 100);
+
+            this.loadLayouts();
+            this.renderLayout();
             this.setupCategoryListeners();
-            
+
+            // Values from before a link loss are not live any more
+            System.activeApps.kernel?.on?.('disconnected', () => this.clearLatest());
+
             // Auto-activate plugins for demo mode
             this.activatePlugins();
-            
-            System.log('Dashboard', '✓ Host Ready (10Hz refresh)');
+
+            System.log('Dashboard', `✓ Host Ready (layout "${this.category}")`);
         },
 
         activatePlugins() {
@@ -43,160 +107,425 @@
             });
         },
 
+        // ====================================================================
+        // LAYOUT STORAGE
+        // ====================================================================
+
+        loadLayouts() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(LAYOUTS_KEY) || 'null');
+                this.layouts = stored && Object.keys(stored).length ? stored : this.defaultLayouts();
+            } catch (err) {
+                System.log('Dashboard', `Stored layouts unreadable, using defaults: ${err.message}`);
+                this.layouts = this.defaultLayouts();
+            }
+
+            const active = localStorage.getItem(ACTIVE_KEY);
+            this.category = this.layouts[active] ? active : Object.keys(this.layouts)[0];
+        },
+
+        saveLayouts() {
+            try {
+                localStorage.setItem(LAYOUTS_KEY, JSON.stringify(this.layouts));
+                localStorage.setItem(ACTIVE_KEY, this.category);
+            } catch (err) {
+                System.log('Dashboard', `⚠️ Could not save layouts: ${err.message}`);
+            }
+        },
+
+        defaultLayouts() {
+            return JSON.parse(JSON.stringify(DEFAULT_LAYOUTS));
+        },
+
+        get slots() {
+            return this.layouts[this.category] || [];
+        },
+
+        /**
+         * Switch the active layout
+         * Kept under the old name so [data-cat] buttons still work
+         */
         setCategory(cat) {
-            this.category = cat;
-            System.log('Dashboard', `Switching view to: ${cat}`);
-            
+            const name = Object.keys(this.layouts).find(n => n.toLowerCase() === String(cat).toLowerCase());
+            if (!name) {
+                System.log('Dashboard', `Unknown layout: ${cat}`);
+                return;
+            }
+
+            this.category = name;
+            System.log('Dashboard', `Switching layout to: ${name}`);
+
             document.querySelectorAll('.dash-icon').forEach(icon => {
                 icon.classList.toggle('active', icon.dataset.cat === cat);
             });
+
+            this.saveLayouts();
+            this.renderLayout();
         },
 
-        async tick() {
-            const isDashVisible = document.getElementById('dash')?.classList.contains('active');
-            const isConnected = window.obd?.connected || window.isSimulating;
-            
-            if (isDashVisible && isConnected && !this.isBusy) {
-                await this.update();
-            }
+        saveLayoutAs(name) {
+            const clean = (name || '').trim();
+            if (!clean) return;
+            if (this.layouts[clean] && clean !== this.category && !confirm(`Replace layout "${clean}"?`)) return;
+
+            this.layouts[clean] = JSON.parse(JSON.stringify(this.slots));
+            this.category = clean;
+            this.saveLayouts();
+            this.renderLayout();
+            System.log('Dashboard', `✓ Layout "${clean}" saved`);
         },
 
-        async update() {
-            this.isBusy = true;
-            try {
-                const data = window.isSimulating 
-                    ? this.generateSimData() 
-                    : await this.fetchHardwareData();
-                
-                if (data) this.render(data);
-            } catch (err) {
-                System.log('Dashboard', `Stream Error: ${err.message}`);
-            } finally {
-                this.isBusy = false;
+        deleteLayout() {
+            if (Object.keys(this.layouts).length <= 1) {
+                System.log('Dashboard', '⚠️ Cannot delete the last layout');
+                return;
             }
+            if (!confirm(`Delete layout "${this.category}"?`)) return;
+
+            delete this.layouts[this.category];
+            this.category = Object.keys(this.layouts)[0];
+            this.saveLayouts();
+            this.renderLayout();
         },
 
-        async fetchHardwareData() {
-            if (!window.obd?.connected) return null;
+        resetLayouts() {
+            if (!confirm('Restore the built-in layouts? Your own layouts will be removed.')) return;
 
-            const rpmRaw = await window.obd.sendCommand(PIDS.RPM.code);
-            const speedRaw = await window.obd.sendCommand(PIDS.SPEED.code);
-            const coolantRaw = await window.obd.sendCommand(PIDS.COOLANT.code);
+            this.layouts = this.defaultLayouts();
+            this.category = Object.keys(this.layouts)[0];
+            this.saveLayouts();
+            this.renderLayout();
+        },
 
-            const telemetry = {
-                rpm: PIDS.RPM.parse(window.parseOBDResponse(rpmRaw, '410C')),
-                speed: PIDS.SPEED.parse(window.parseOBDResponse(speedRaw, '410D')),
-                coolant: PIDS.COOLANT.parse(window.parseOBDResponse(coolantRaw, '4105')),
-                categoryData: null
-            };
+        // ====================================================================
+        // SLOT EDITING
+        // ====================================================================
 
-            try {
-                const fuelRaw = await window.obd.sendCommand(PIDS.FUEL_LEVEL.code);
-                telemetry.fuel = PIDS.FUEL_LEVEL.parse(window.parseOBDResponse(fuelRaw, '412F'));
-            } catch (err) {
-                telemetry.fuel = null;
+        addSlot() {
+            this.slots.push(this.slotFor('SPEED'));
+            this.saveLayouts();
+            this.renderLayout();
+        },
+
+        removeSlot(index) {
+            this.slots.splice(index, 1);
+            this.saveLayouts();
+            this.renderLayout();
+        },
+
+        /**
+         * Apply one field change from the editor
+         * Picking a new PID resets the range to that PID's J1979 scale
+         */
+        updateSlot(index, field, value) {
+            const slot = this.slots[index];
+            if (!slot) return;
+
+            if (field === 'pid') {
+                this.slots[index] = { ...this.slotFor(value), widget: slot.widget, color: slot.color };
+            } else if (['min', 'max', 'warn', 'crit'].includes(field)) {
+                const num = parseFloat(value);
+                slot[field] = isNaN(num) ? null : num;
+            } else {
+                slot[field] = value;
             }
 
-            try {
-                const throttleRaw = await window.obd.sendCommand(PIDS.THROTTLE.code);
-                telemetry.throttle = PIDS.THROTTLE.parse(window.parseOBDResponse(throttleRaw, '4111'));
-            } catch (err) {
-                telemetry.throttle = null;
+            this.saveLayouts();
+            this.renderLayout();
+        },
+
+        slotFor(pid) {
+            const def = PIDS[pid] || {};
+            return {
+                pid,
+                widget: 'numeric',
+                min: def.min ?? 0,
+                max: def.max ?? 100,
+                warn: null,
+                crit: null,
+                color: 'accent'
+            };
+        },
+
+        // ====================================================================
+        // POLLING
+        // ====================================================================
+
+        /**
+         * (Re)register the active layout's PIDs with the scheduler
+         * Polling only runs while the dashboard view is on screen
+         */
+        subscribe() {
+            System.activeApps.scheduler?.subscribe({
+                id: this.id,
+                pids: this.slots.map(s => s.pid),
+                interval: 100, // 10Hz - the scheduler slows this to what the adapter manages
+                priority: 'high',
+                when: () => document.getElementById('dash')?.classList.contains('active'),
+                onData: (values) => {
+                    this.applySupport();
+                    this.render(values);
+                },
+                simulate: () => this.render(this.generateSimData())
+            });
+        },
+
+        /**
+         * Hide slots whose PID the vehicle does not support
+         * Re-evaluated only when the kernel's capability set changes
+         */
+        applySupport(force = false) {
+            const capabilities = window.obd?.supportedPIDs || null;
+            if (!force && capabilities === this.appliedSupport) return;
+            this.appliedSupport = capabilities;
+
+            document.querySelectorAll('#dash-grid .dash-slot').forEach(el => {
+                const def = PIDS[el.dataset.pid];
+                el.style.display = !def || window.isPIDSupported(def.code) ? '' : 'none';
+            });
+        },
+
+        // ====================================================================
+        // RENDERING
+        // ====================================================================
+
+        /**
+         * Rebuild the slot grid, layout picker and editor
+         */
+        renderLayout() {
+            const select = document.getElementById('dash-layout');
+            if (select) {
+                select.innerHTML = Object.keys(this.layouts).map(name =>
+                    `<option value="${escapeHTML(name)}" ${name === this.category ? 'selected' : ''}>${escapeHTML(name)}</option>`
+                ).join('');
             }
 
-            try {
-                const batteryRaw = await window.obd.sendCommand(PIDS.BATTERY.code);
-                telemetry.battery = PIDS.BATTERY.parse(window.parseOBDResponse(batteryRaw, '4142'));
-            } catch (err) {
-                telemetry.battery = null;
+            const grid = document.getElementById('dash-grid');
+            if (grid) {
+                grid.innerHTML = this.slots.map((slot, i) => this.renderSlot(slot, i)).join('') ||
+                    '<div class="dtc-empty">Empty layout. Use Edit to add gauges.</div>';
             }
 
-            if (this.category === 'fuel' && window.System.activeApps.fuel) {
-                telemetry.categoryData = await window.System.activeApps.fuel.quickPoll();
-            } else if (this.category === 'battery' && window.System.activeApps.battery) {
-                telemetry.categoryData = await window.System.activeApps.battery.quickPoll();
+            this.pruneLatest();
+            this.renderEditor();
+            this.subscribe();
+            this.applySupport(true);
+            this.refreshSlots();
+        },
+
+        renderSlot(slot, index) {
+            const def = PIDS[slot.pid] || { label: slot.pid, unit: '' };
+            const color = COLORS[slot.color] || COLORS.accent;
+            let body = '';
+
+            if (slot.widget === 'ring') {
+                body = `
+                    <svg viewBox="0 0 100 100" class="dash-ring">
+                        <circle cx="50" cy="50" r="42" fill="none" stroke="var(--border)"
+                                stroke-width="6" stroke-dasharray="198 264" transform="rotate(135 50 50)"/>
+                        <circle class="dash-ring-fill" cx="50" cy="50" r="42" fill="none"
+                                stroke="${color}" stroke-width="6" stroke-dasharray="0 264"
+                                transform="rotate(135 50 50)"/>
+                        <text x="50" y="52" text-anchor="middle" class="dash-value dash-ring-text">--</text>
+                        <text x="50" y="64" text-anchor="middle" class="dash-ring-unit">${def.unit}</text>
+                    </svg>`;
+            } else if (slot.widget === 'bar') {
+                body = `
+                    <div class="dash-value">--</div>
+                    <div class="dash-bar"><div class="dash-bar-fill" style="background:${color};"></div></div>
+                    <div class="dash-range"><span>${slot.min}</span><span>${slot.max}</span></div>`;
+            } else if (slot.widget === 'sparkline') {
+                body = `
+                    <div class="dash-value">--</div>
+                    <svg viewBox="0 0 100 30" preserveAspectRatio="none" class="dash-spark">
+                        <polyline fill="none" stroke="${color}" stroke-width="1.5" points=""/>
+                    </svg>`;
+            } else {
+                body = `<div class="dash-value dash-numeric">--</div>`;
             }
 
-            return telemetry;
+            return `
+                <div class="dash-slot dash-slot-${slot.widget}" data-slot="${index}" data-pid="${slot.pid}">
+                    <div class="mini-gauge-label">${def.label}</div>
+                    ${body}
+                    ${slot.widget === 'ring' ? '' : `<div class="mini-gauge-label">${def.unit}</div>`}
+                </div>`;
         },
 
+        /**
+         * Push values (keyed by PID name) into the current slots
+         */
         render(data) {
-            // 1. Main RPM Gauge
-            const mainVal = document.getElementById('main-val');
-            const speedVal = document.getElementById('v-speed');
-            
-            if (mainVal) mainVal.textContent = Math.round(data.rpm || 0);
-            if (speedVal) speedVal.textContent = Math.round(data.speed || 0);
-
-            // Update RPM gauge ring
-            const gaugeProgress = document.getElementById('gauge-progress');
-            if (gaugeProgress && data.rpm !== null) {
-                const maxRpm = 7000;
-                const percentage = Math.min(data.rpm / maxRpm, 1);
-                const circumference = 264;
-                const dasharray = `${198 * percentage} ${circumference}`;
-                gaugeProgress.setAttribute('stroke-dasharray', dasharray);
+            const now = Date.now();
+            Object.keys(data).forEach(key => {
+                const value = data[key];
+                this.latest[key] = value;
+                this.latestAt[key] = now;
+
+                if (typeof value !== 'number') return;
+                const samples = this.history[key] || (this.history[key] = []);
+                samples.push(value);
+                if (samples.length > HISTORY_LENGTH) samples.shift();
+            });
+
+            this.refreshSlots();
+        },
+
+        /**
+         * Last value of a PID, or null once it has not been refreshed for
+         * STALE_AFTER (polling paused, PID left the layout, link down)
+         */
+        getLatest(key) {
+            const value = this.latest[key];
+            if (typeof value !== 'number' || Date.now() - (this.latestAt[key] || 0) > STALE_AFTER) return null;
+            return value;
+        },
+
+        /**
+         * Forget values for PIDs the active layout no longer polls
+         */
+        pruneLatest() {
+            const keep = new Set(this.slots.map(s => s.pid));
+            Object.keys(this.latest).forEach(key => {
+                if (keep.has(key)) return;
+                delete this.latest[key];
+                delete this.latestAt[key];
+                delete this.history[key];
+            });
+        },
+
+        clearLatest() {
+            this.latest = {};
+            this.latestAt = {};
+            this.history = {};
+            this.refreshSlots();
+        },
+
+        refreshSlots() {
+            document.querySelectorAll('#dash-grid .dash-slot').forEach(el => {
+                const slot = this.slots[el.dataset.slot];
+                if (slot) this.renderValue(el, slot, this.latest[slot.pid]);
+            });
+        },
+
+        renderValue(el, slot, value) {
+            const valueEl = el.querySelector('.dash-value');
+            const hasValue = value !== null && value !== undefined;
+            const level = this.levelColor(slot, value);
+            const span = (slot.max - slot.min) || 1;
+            const fraction = hasValue && typeof value === 'number'
+                ? Math.min(Math.max((value - slot.min) / span, 0), 1)
+                : 0;
+
+            if (valueEl) {
+                valueEl.textContent = hasValue ? this.formatValue(slot, value) : '--';
+                valueEl.style.color = level || '';
+                if (valueEl.tagName === 'text') valueEl.style.fill = level || '';
             }
 
-            // 2. Coolant Temperature
-            const tempVal = document.getElementById('v-temp');
-            if (tempVal) {
-                if (data.coolant !== null && data.coolant !== undefined) {
-                    tempVal.textContent = Math.round(data.coolant);
-                    if (data.coolant > 100) {
-                        tempVal.style.color = 'var(--red)';
-                    } else if (data.coolant > 95) {
-                        tempVal.style.color = 'var(--orange)';
-                    } else {
-                        tempVal.style.color = 'var(--accent)';
-                    }
-                } else {
-                    tempVal.textContent = '--';
+            if (slot.widget === 'ring') {
+                const ring = el.querySelector('.dash-ring-fill');
+                if (ring) {
+                    ring.setAttribute('stroke-dasharray', `${198 * fraction} 264`);
+                    ring.setAttribute('stroke', level || COLORS[slot.color] || COLORS.accent);
+                }
+            } else if (slot.widget === 'bar') {
+                const fill = el.querySelector('.dash-bar-fill');
+                if (fill) {
+                    fill.style.width = `${fraction * 100}%`;
+                    fill.style.background = level || COLORS[slot.color] || COLORS.accent;
+                }
+            } else if (slot.widget === 'sparkline') {
+                const line = el.querySelector('polyline');
+                const samples = this.history[slot.pid] || [];
+                if (line) {
+                    line.setAttribute('points', samples.map((v, i) => {
+                        const x = (i / (HISTORY_LENGTH - 1)) * 100;
+                        const y = 30 - Math.min(Math.max((v - slot.min) / span, 0), 1) * 30;
+                        return `${x.toFixed(1)},${y.toFixed(1)}`;
+                    }).join(' '));
                 }
             }
+        },
 
-            // 3. Fuel Level Gauge
-            this.updateCircularGauge('fuel-ring', 'fuel-val', data.fuel, 100, 'var(--green)');
-
-            // 4. Battery Voltage Gauge
-            if (data.battery !== null) {
-                const battVal = document.getElementById('batt-val');
-                if (battVal) battVal.textContent = data.battery.toFixed(1);
-                
-                // Map 11-15V to 0-100%
-                const battPercent = ((data.battery - 11) / 4) * 100;
-                this.updateCircularGauge('batt-ring', null, battPercent, 100, 'var(--blue)');
-            }
+        /**
+         * Warning colour for a value, or null when within limits
+         * crit >= warn alerts on high values, crit < warn alerts on low ones
+         */
+        levelColor(slot, value) {
+            if (typeof value !== 'number') return null;
+            const { warn, crit } = slot;
+            const high = crit === null || warn === null || crit >= warn;
+            const beyond = (limit) => limit !== null && limit !== undefined &&
+                (high ? value >= limit : value <= limit);
 
-            // 5. Throttle Position Gauge
-            this.updateCircularGauge('throttle-ring', 'throttle-val', data.throttle, 100, 'var(--orange)');
+            if (beyond(crit)) return COLORS.red;
+            if (beyond(warn)) return COLORS.orange;
+            return null;
+        },
 
-            // 6. Category-Specific UI
-            this.renderCategoryOverlay(data);
+        formatValue(slot, value) {
+            if (typeof value !== 'number') return value;
+            const span = Math.abs(slot.max - slot.min);
+            if (span <= 2) return value.toFixed(2);
+            if (span <= 20) return value.toFixed(1);
+            return Math.round(value);
         },
 
-        updateCircularGauge(ringId, valueId, value, max, color) {
-            const ring = document.getElementById(ringId);
-            const valueEl = document.getElementById(valueId);
-            
-            if (ring && value !== null && value !== undefined) {
-                const percentage = Math.min(Math.max(value / max, 0), 1);
-                const circumference = 157;
-                const dasharray = `${circumference * percentage} ${circumference}`;
-                ring.setAttribute('stroke-dasharray', dasharray);
-                if (color) ring.setAttribute('stroke', color);
-            }
-            
-            if (valueEl && value !== null && value !== undefined) {
-                valueEl.textContent = Math.round(value);
-            } else if (valueEl) {
-                valueEl.textContent = '--';
-            }
+        /**
+         * Build the slot editor rows for the active layout
+         */
+        renderEditor() {
+            const editor = document.getElementById('dash-editor');
+            if (!editor) return;
+
+            editor.style.display = this.editing ? '' : 'none';
+            if (!this.editing) return;
+
+            const pidOptions = (selected) => Object.keys(PIDS)
+                .filter(key => PIDS[key].min !== null)
+                .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${PIDS[key].label}</option>`)
+                .join('');
+            const options = (keys, selected, label) => keys
+                .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${label(key)}</option>`)
+                .join('');
+            const number = (i, field, value) =>
+                `<input type="number" step="any" class="dash-input" placeholder="${field}" value="${value ?? ''}"
+                        onchange="System.activeApps.dashboard.updateSlot(${i}, '${field}', this.value)">`;
+
+            const rows = this.slots.map((slot, i) => `
+                <div class="dash-edit-row">
+                    <select onchange="System.activeApps.dashboard.updateSlot(${i}, 'pid', this.value)">${pidOptions(slot.pid)}</select>
+                    <select onchange="System.activeApps.dashboard.updateSlot(${i}, 'widget', this.value)">${options(Object.keys(WIDGETS), slot.widget, k => WIDGETS[k])}</select>
+                    <select onchange="System.activeApps.dashboard.updateSlot(${i}, 'color', this.value)">${options(Object.keys(COLORS), slot.color, k => k.charAt(0).toUpperCase() + k.slice(1))}</select>
+                    <div class="dash-edit-numbers">
+                        ${number(i, 'min', slot.min)}
+                        ${number(i, 'max', slot.max)}
+                        ${number(i, 'warn', slot.warn)}
+                        ${number(i, 'crit', slot.crit)}
+                    </div>
+                    <button class="btn-secondary" onclick="System.activeApps.dashboard.removeSlot(${i})">&#10005;</button>
+                </div>
+            `).join('');
+
+            editor.innerHTML = `
+                <div class="config-card-title">Edit layout · ${escapeHTML(this.category)}</div>
+                ${rows}
+                <div class="dash-edit-actions">
+                    <button class="btn-secondary" onclick="System.activeApps.dashboard.addSlot()">+ Gauge</button>
+                    <button class="btn-secondary" onclick="saveDashLayoutAs()">Save As…</button>
+                    <button class="btn-secondary" onclick="System.activeApps.dashboard.deleteLayout()">Delete Layout</button>
+                    <button class="btn-secondary" onclick="System.activeApps.dashboard.resetLayouts()">Restore Defaults</button>
+                </div>
+                <p class="hint">
+                    Changes are saved as you make them. Set <strong>crit</strong> above
+                    <strong>warn</strong> to alert on high values, or below it to alert on low values.
+                </p>`;
         },
 
-        renderCategoryOverlay(data) {
-            const container = document.getElementById('category-overlay');
-            if (!container) return;
+        toggleEditor() {
+            this.editing = !this.editing;
+            this.renderEditor();
         },
 
         setupCategoryListeners() {
@@ -213,57 +542,84 @@
         generateSimData() {
             // Increment time for animations
             this.simState.time += 0.1;
-            
+            const t = this.simState.time;
+
             // 1. RPM - Simulate idle with natural oscillation
             // Real engines oscillate between 750-900 RPM at idle
-            const rpmWave = Math.sin(this.simState.time * 0.5) * 50; // Slow wave
+            const rpmWave = Math.sin(t * 0.5) * 50; // Slow wave
             const rpmNoise = (Math.random() - 0.5) * 30; // Random flutter
             const rpm = 800 + rpmWave + rpmNoise;
-            
+
             // 2. Speed - Simulate slight GPS drift even when stationary
             const speed = Math.random() * 2; // 0-2 km/h (GPS noise)
-            
+
             // 3. Coolant - Gradually warm up from cold start to operating temp
             const targetTemp = 88; // Normal operating temperature
             if (this.simState.coolantTemp < targetTemp) {
                 this.simState.coolantTemp += 0.02; // Slow warmup
             }
             const coolant = this.simState.coolantTemp + (Math.random() - 0.5) * 2;
-            
+
             // 4. Fuel - Very slowly decreasing (1% per ~30 seconds)
             this.simState.fuelLevel -= 0.0003;
             if (this.simState.fuelLevel < 10) this.simState.fuelLevel = 75; // Reset
             const fuel = this.simState.fuelLevel + (Math.random() - 0.5) * 0.5;
-            
+
             // 5. Battery - Simulate alternator voltage with ripple
             // Running engine: 13.8-14.4V typical
-            const batteryRipple = Math.sin(this.simState.time * 3) * 0.15; // AC ripple
+            const batteryRipple = Math.sin(t * 3) * 0.15; // AC ripple
             const batteryNoise = (Math.random() - 0.5) * 0.1;
             const battery = 14.1 + batteryRipple + batteryNoise;
-            
+
             // 6. Throttle - Correlates with RPM variations
             // At idle, throttle should be near 0% but flutters with idle control
             const throttle = Math.max(0, ((rpm - 750) / 1500) * 10 + Math.random() * 2);
-            
-            return {
-                rpm: Math.max(700, rpm), // Don't go below stall speed
-                speed: Math.max(0, speed),
-                coolant: Math.max(60, Math.min(110, coolant)), // Clamp to realistic range
-                fuel: Math.max(0, Math.min(100, fuel)),
-                battery: Math.max(13.5, Math.min(14.8, battery)),
-                throttle: Math.max(0, Math.min(100, throttle)),
-                categoryData: {}
+
+            const data = {
+                RPM: Math.max(700, rpm), // Don't go below stall speed
+                SPEED: Math.max(0, speed),
+                COOLANT: Math.max(60, Math.min(110, coolant)), // Clamp to realistic range
+                FUEL_LEVEL: Math.max(0, Math.min(100, fuel)),
+                BATTERY: Math.max(13.5, Math.min(14.8, battery)),
+                THROTTLE: Math.max(0, Math.min(100, throttle)),
+                // Upstream O2 sensors switch rich/lean about once a second
+                O2_B1S1: 0.45 + Math.sin(t * 6) * 0.35,
+                O2_B2S1: 0.45 + Math.sin(t * 6 + 1) * 0.35
             };
+
+            // Everything else in the layout: baseline with light noise,
+            // or a slow wave inside the slot's range
+            this.slots.forEach(slot => {
+                if (slot.pid in data) return;
+                const def = PIDS[slot.pid];
+                if (!def || def.min === null) return;
+
+                if (slot.pid in SIM_BASELINE) {
+                    const base = SIM_BASELINE[slot.pid];
+                    data[slot.pid] = base + (Math.random() - 0.5) * Math.max(Math.abs(base) * 0.04, 0.2);
+                } else {
+                    const mid = (slot.min + slot.max) / 2;
+                    data[slot.pid] = mid + Math.sin(t * 0.3) * (slot.max - slot.min) * 0.2;
+                }
+            });
+
+            return data;
         },
 
         shutdown() {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
-            }
+            this.appliedSupport = undefined;
+            this.clearLatest();
         }
     };
 
+    // Global helpers for the dashboard toolbar
+    window.switchDashLayout = (name) => DashboardApp.setCategory(name);
+    window.toggleDashEditor = () => DashboardApp.toggleEditor();
+    window.saveDashLayoutAs = () => {
+        const name = prompt('Layout name:', DashboardApp.category);
+        if (name) DashboardApp.saveLayoutAs(name);
+    };
+
     window.System.activeApps.dashboard = DashboardApp;
     DashboardApp.init();
-})();
\ No newline at end of file
+})();
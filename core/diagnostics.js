@@ -1,11 +1,55 @@
 /**
- * Gnokestation Diagnostics App v2.2
- * Purpose: Mode 03 DTC Reading & Clearing
+ * Gnokestation Diagnostics App v2.4
+ * Purpose: Mode 03 / 07 / 0A DTC Reading & Clearing
  */
 (() => {
+    // DTC categories in display order. Every mode replies with the same
+    // 2-bytes-per-code layout, so they share one parser.
+    const DTC_CATEGORIES = {
+        confirmed: {
+            request: '03', echo: '43',
+            label: 'Confirmed', desc: 'Stored - the check engine light is on for these',
+            color: 'var(--red)',
+            freezeFrame: true,
+            // Simulating P0300 + P0171 from the ECM and P0700 from the TCM
+            sim: '7E8 06 43 02 03 00 01 71\r7E9 04 43 01 07 00'
+        },
+        pending: {
+            request: '07', echo: '47',
+            label: 'Pending', desc: 'Detected once - not yet confirmed',
+            color: 'var(--orange)',
+            freezeFrame: true,
+            // Simulating P0133 (slow O2 response) seen on one drive cycle
+            sim: '7E8 04 47 01 01 33'
+        },
+        permanent: {
+            request: '0A', echo: '4A',
+            label: 'Permanent', desc: 'Stays until the monitor passes - Mode 04 cannot clear it',
+            color: 'var(--accent)',
+            // Simulating P0420 left over from an earlier clear
+            sim: '7E8 04 4A 01 04 20'
+        }
+    };
+
+    // Mode 01 PID 01 for the demo: ECM reports 2 stored codes with the MIL on, TCM 1.
+    // After a clear the count and MIL drop and the ECM's monitors start over.
+    const SIM_STATUS = '7E8 06 41 01 82 07 65 00\r7E9 06 41 01 01 00 00 00';
+    const SIM_STATUS_CLEARED = '7E8 06 41 01 00 07 65 65\r7E9 06 41 01 00 00 00 00';
+
+    const SEVERITY_COLORS = {
+        info: 'var(--muted)',
+        low: 'var(--green)',
+        medium: 'var(--orange)',
+        high: 'var(--red)'
+    };
+
     const DiagnosticsApp = {
         id: 'diagnostics',
         isScanning: false,
+        results: null,      // Last read, keyed by category
+        countCheck: [],     // ECUs reporting more stored codes than were decoded
+        clearReport: null,  // Outcome of the last clear, shown above the list
+        simCleared: false,  // Demo: codes were cleared this session
 
         /**
          * Reads Diagnostic Trouble Codes (DTCs)
@@ -22,17 +66,17 @@
             System.log('Diagnostics', 'Scan Initiated - Bus Locked');
 
             try {
-                let rawResponse;
-                if (window.isSimulating) {
-                    await new Promise(r => setTimeout(r, 1500));
-                    rawResponse = "43 02 03 00 01 71"; // Simulating P0300 and P0171
-                } else {
-                    // Send Mode 03 request
-                    rawResponse = await window.obd.sendCommand('03');
-                }
+                if (window.isSimulating) await new Promise(r => setTimeout(r, 1500));
+                await System.activeApps.dtcdb?.loadGeneric();
 
-                const codes = this.parseDTCs(rawResponse);
-                this.displayCodes(codes);
+                const results = await this.readAllCodes();
+                const status = await this.readStatus();
+                this.countCheck = this.reconcileCounts(status, results.confirmed);
+
+                this.results = results;
+                this.clearReport = null;
+                this.displayCodes(results);
+                await System.activeApps.dtchistory?.recordScan(results);
             } catch (err) {
                 System.log('Diagnostics', `Scan Error: ${err.message}`);
                 container.innerHTML = `<div class="dtc-error">Scan Failed</div>`;
@@ -42,20 +86,113 @@
         },
 
         /**
-         * Logic: Converts raw hex response into an array of DTC strings
+         * Read every DTC category, one request each
+         * @returns {Object} - { confirmed: { ecu: [codes] }, pending: {...}, permanent: {...} },
+         *                     a category is null when its read failed (unknown, not "no codes")
+         */
+        async readAllCodes() {
+            const results = {};
+            for (const key of Object.keys(DTC_CATEGORIES)) {
+                const category = DTC_CATEGORIES[key];
+                try {
+                    let rawResponse;
+                    if (window.isSimulating) {
+                        // Mode 04 leaves only the permanent codes behind
+                        rawResponse = this.simCleared && key !== 'permanent' ? 'NO DATA' : category.sim;
+                    } else {
+                        rawResponse = await window.obd.sendCommand(category.request);
+                    }
+                    results[key] = this.parseDTCs(rawResponse, category.echo);
+                } catch (err) {
+                    // One mode failing (older ECUs may ignore 07) must not hide the others
+                    System.log('Diagnostics', `Mode ${category.request} read failed: ${err.message}`);
+                    results[key] = null;
+                }
+            }
+            return results;
+        },
+
+        /**
+         * Mode 01 PID 01 per ECU: MIL, stored DTC count and monitor state
+         * Monitors are decoded by the Readiness app when it is loaded
+         * @returns {Object<string, Object>|null} - { '7E8': { milStatus, dtcCount, monitors } }, null when the read failed
+         */
+        async readStatus() {
+            try {
+                const byECU = window.isSimulating
+                    ? window.parseOBDResponseByECU(this.simCleared ? SIM_STATUS_CLEARED : SIM_STATUS, '4101')
+                    : await window.obd.sendCommandByECU('0101', '4101');
+
+                const readiness = System.activeApps.readiness;
+                const status = {};
+                Object.keys(byECU).forEach(ecu => {
+                    const bytes = byECU[ecu];
+                    if (bytes.length < 1) return;
+                    status[ecu] = readiness && bytes.length >= 4
+                        ? readiness.parseStatus(bytes)
+                        : { milStatus: (bytes[0] & 0x80) !== 0, dtcCount: bytes[0] & 0x7F, monitors: {} };
+                });
+                return status;
+            } catch (err) {
+                System.log('Diagnostics', `Mode 01 PID 01 read failed: ${err.message}`);
+                return null;
+            }
+        },
+
+        /**
+         * Compare the count each ECU reports with the confirmed codes decoded from it
+         * More reported than decoded means the list is incomplete - usually a
+         * multi-frame reply that did not reassemble, or an ECU that ignored Mode 03.
+         * @returns {Array<{ecu: string, reported: number, decoded: number}>}
          */
-        parseDTCs(hex) {
-            // Use the global helper from pids.js to get clean bytes
-            const bytes = window.parseOBDResponse(hex, '43'); 
+        reconcileCounts(status, confirmed) {
+            if (!status) return [];
+
+            const mismatches = [];
+            Object.keys(status).forEach(ecu => {
+                const reported = status[ecu].dtcCount;
+                const decoded = (confirmed?.[ecu] || []).length;
+                if (reported > decoded) {
+                    mismatches.push({ ecu, reported, decoded });
+                    System.log('Diagnostics', `⚠️ ${ecu} reports ${reported} stored DTC(s), decoded ${decoded}`);
+                } else if (reported < decoded) {
+                    // Some ECUs leave non-emission codes out of the count - not a read problem
+                    System.log('Diagnostics', `${ecu} reports ${reported} stored DTC(s), decoded ${decoded}`);
+                }
+            });
+            return mismatches;
+        },
+
+        /**
+         * Logic: Converts raw hex response into DTC strings per responding ECU
+         * @param {string} echo - Positive response byte: '43', '47' ...
+         * @returns {Object<string, string[]>} - e.g. { '7E8': ['P0300'], '7E9': ['P0700'] }
+         */
+        parseDTCs(hex, echo = '43') {
+            // Use the global helper from pids.js to get clean bytes per module
+            const byECU = window.parseOBDResponseByECU(hex, echo);
+            const result = {};
+            Object.keys(byECU).forEach(ecu => {
+                result[ecu] = this.parseDTCBytes(byECU[ecu]);
+            });
+            return result;
+        },
+
+        /**
+         * Converts one ECU's Mode 03/07/0A payload into an array of DTC strings
+         */
+        parseDTCBytes(bytes) {
             if (!bytes || bytes.length < 1) return [];
 
             const codes = [];
+            // CAN prefixes the list with a DTC count byte, K-line does not
+            const start = bytes.length % 2 === 1 ? 1 : 0;
             // Mode 03 returns 2 bytes per code
-            for (let i = 1; i < bytes.length; i += 2) {
+            for (let i = start; i < bytes.length; i += 2) {
                 const byte1 = bytes[i].toString(16).padStart(2, '0');
                 const byte2 = bytes[i+1]?.toString(16).padStart(2, '0');
                 
-                if (byte1 && byte2 && byte1 !== '00') {
+                if (byte1 && byte2 && byte1 + byte2 !== '0000') {
                     const fullHex = byte1 + byte2;
                     // Use the global decoder from pids.js
                     const decoded = window.decodeDTC(fullHex);
@@ -66,37 +203,252 @@
         },
 
         /**
-         * Renders the codes to the UI
+         * Renders one section per category, each grouped by the reporting module
+         * @param {Object} results - { confirmed: { '7E8': [...] }, pending: {...}, permanent: {...} }
          */
-        displayCodes(codes) {
+        displayCodes(results) {
             const container = document.getElementById('dtc-list');
-            if (!codes || codes.length === 0) {
-                container.innerHTML = '<div class="dtc-empty">No DTCs stored in ECU.</div>';
+            const total = (byECU) => Object.values(byECU || {}).reduce((n, codes) => n + codes.length, 0);
+            const warning = this.renderClearReport() + this.renderCountWarning();
+
+            if (Object.keys(DTC_CATEGORIES).every(key => total(results?.[key]) === 0)) {
+                container.innerHTML = warning + '<div class="dtc-empty">No DTCs stored in ECU.</div>';
                 return;
             }
 
-            container.innerHTML = codes.map(code => `
-                <div class="dtc-card">
-                    <span class="dtc-code">${code}</span>
-                    <span class="dtc-desc">Confirmed Trouble Code</span>
+            const sources = System.activeApps.dtcdb?.describeSources();
+            container.innerHTML = warning + Object.keys(DTC_CATEGORIES).map(key => {
+                const category = DTC_CATEGORIES[key];
+                const byECU = results[key] || {};
+                const count = total(byECU);
+
+                return `
+                    <div class="dtc-section">
+                        <span>${category.label}</span>
+                        <span class="dtc-badge" style="background:${count ? category.color : 'var(--muted)'};">${count}</span>
+                    </div>
+                    ${results[key] === null
+                        ? `<div class="dtc-error">${category.label} codes could not be read.</div>`
+                        : count === 0
+                        ? `<div class="dtc-empty">No ${category.label.toLowerCase()} codes.</div>`
+                        : `<p class="hint">${category.desc}</p>${this.renderModules(byECU, category)}`}
+                `;
+            }).join('') + (sources ? `<p class="hint">Descriptions: ${sources}</p>` : '');
+        },
+
+        /**
+         * Warn that the confirmed list may be missing codes
+         */
+        renderCountWarning() {
+            if (!this.countCheck || this.countCheck.length === 0) return '';
+            return `
+                <div class="dtc-warning">
+                    <strong>⚠️ List may be incomplete</strong>
+                    ${this.countCheck.map(m => `
+                        <div>${window.getECUName(m.ecu)} at ${m.ecu} reports ${m.reported} stored code(s), ${m.decoded} decoded.</div>
+                    `).join('')}
+                    <div class="dtc-desc">Try reading again; if it persists, the adapter may be dropping multi-frame replies.</div>
+                </div>
+            `;
+        },
+
+        /**
+         * Re-render the last read, e.g. after a manufacturer code pack loaded
+         */
+        refresh() {
+            if (this.results && !this.isScanning) this.displayCodes(this.results);
+        },
+
+        /**
+         * Module headings with their code cards
+         */
+        renderModules(byECU, category) {
+            return Object.keys(byECU).filter(ecu => byECU[ecu].length > 0).map(ecu => `
+                <div class="dtc-module">
+                    <span>${window.getECUName(ecu)}</span>
+                    <span class="dtc-module-addr">${ecu} · ${byECU[ecu].length} code(s)</span>
                 </div>
+                ${byECU[ecu].map(code => this.renderCard(code, category)).join('')}
             `).join('');
         },
 
         /**
-         * Clears codes (Mode 04)
+         * One code: description, system, classification and severity hint
+         */
+        renderCard(code, category) {
+            const info = window.describeDTC(code);
+            return `
+                <div class="dtc-card" style="border-left-color:${category.color};">
+                    <span class="dtc-code" style="color:${category.color};">${info.code}</span>
+                    <div class="dtc-body">
+                        <span class="dtc-desc${info.known ? '' : ' dtc-unknown'}">${info.description}</span>
+                        <span class="dtc-meta">${info.system} · ${info.classification}</span>
+                        <span class="dtc-hint" style="color:${SEVERITY_COLORS[info.severity]};">${info.hint}</span>
+                    </div>
+                    ${category.freezeFrame && System.activeApps.freezeframe ? `
+                        <button class="btn-secondary dtc-frame-btn" onclick="showFreezeFrameFor('${info.code}')"
+                                title="Conditions when this fault was stored">📸</button>
+                    ` : ''}
+                </div>
+            `;
+        },
+
+        /**
+         * Guarded clear (Mode 04)
+         * 1. Save a pre-clear report: codes, freeze frame and monitor state
+         * 2. Refuse to clear with the engine running (many ECUs reject it anyway)
+         * 3. Send Mode 04 and check the ECU acknowledged it
+         * 4. Re-read codes and PID 01 to verify, and list the monitors that were reset
          */
         async clearCodes() {
-            if (!confirm("Clear all diagnostic codes? This resets engine monitors.")) return;
-            
+            if (this.isScanning) return;
+            const container = document.getElementById('dtc-list');
+
+            const permanent = Object.values(this.results?.permanent || {}).flat();
+            const warning = permanent.length > 0
+                ? `\n\n${permanent.join(', ')} ${permanent.length > 1 ? 'are' : 'is'} permanent and will stay stored until the monitor passes on a later drive.`
+                : '\n\nPermanent codes (Mode 0A) are not cleared by this - they stay until the monitor passes on a later drive.';
+            if (!confirm("Clear all diagnostic codes? This resets engine monitors.\n\nTurn the ignition on with the engine off before continuing." + warning)) return;
+
+            this.isScanning = true;
+            const status = (text) => { if (container) container.innerHTML = `<div class="dtc-status">${text}</div>`; };
+
             try {
+                // 1. Pre-clear snapshot - once cleared, this information is gone for good
+                status('💾 Saving pre-clear report...');
+                await System.activeApps.dtcdb?.loadGeneric();
+                const before = { codes: await this.readAllCodes(), status: await this.readStatus() };
+                let freezeFrames = [];
+                try {
+                    freezeFrames = await System.activeApps.freezeframe?.captureFrames?.() || [];
+                } catch (err) {
+                    // No freeze frame stored - nothing to keep
+                }
+                await System.activeApps.dtchistory?.recordScan(before.codes, {
+                    report: { status: before.status, freezeFrames }
+                });
+
+                // 2. Engine must be off
+                status('🔑 Checking engine is off...');
+                const rpm = await this.readRPM();
+                if (rpm === null || rpm > 0) {
+                    System.log('Diagnostics', `Clear aborted - engine ${rpm === null ? 'speed unknown' : `running at ${Math.round(rpm)} rpm`}`);
+                    this.results = before.codes;
+                    this.displayCodes(this.results);
+                    alert(rpm === null
+                        ? 'Could not confirm the engine is off - codes were NOT cleared.'
+                        : 'Engine is running - switch it off (ignition on) and try again.\n\nCodes were NOT cleared.');
+                    return;
+                }
+
+                // 3. Mode 04
+                status('🧹 Clearing codes...');
                 System.log('Diagnostics', 'Sending Mode 04 (Clear)...');
-                await window.obd.sendCommand('04');
-                this.displayCodes([]);
-                alert("Codes Cleared Successfully");
+                await this.sendClear();
+
+                // 4. Verify
+                status('🔍 Verifying...');
+                const after = { codes: await this.readAllCodes(), status: await this.readStatus() };
+                this.clearReport = this.verifyClear(before, after);
+                this.results = after.codes;
+                this.countCheck = this.reconcileCounts(after.status, after.codes.confirmed);
+                this.displayCodes(this.results);
+                await System.activeApps.dtchistory?.recordScan(after.codes, { cleared: true });
+
+                System.log('Diagnostics', this.clearReport.ok
+                    ? `✓ Codes cleared, ${this.clearReport.reset.length} monitor(s) reset`
+                    : `⚠️ Clear incomplete: ${this.clearReport.remaining.join(', ') || 'MIL still on'}`);
             } catch (err) {
                 System.log('Diagnostics', `Clear Error: ${err.message}`);
+                if (container) container.innerHTML = `<div class="dtc-error">Clear Failed: ${err.message}</div>`;
+            } finally {
+                this.isScanning = false;
+            }
+        },
+
+        /**
+         * Current engine speed, null when the ECU did not answer
+         */
+        async readRPM() {
+            if (window.isSimulating) return 0; // Demo car is parked with the ignition on
+            try {
+                const raw = await window.obd.sendCommand(PIDS.RPM.code);
+                return PIDS.RPM.parse(window.parseOBDResponse(raw, '410C'));
+            } catch (err) {
+                return null;
+            }
+        },
+
+        /**
+         * Send Mode 04 and require a positive response (44) from at least one ECU
+         */
+        async sendClear() {
+            if (window.isSimulating) {
+                await new Promise(r => setTimeout(r, 800));
+                this.simCleared = true;
+                return;
+            }
+
+            const raw = await window.obd.sendCommand('04');
+            const acknowledged = Object.keys(window.parseOBDResponseByECU(raw, '44'));
+            if (acknowledged.length === 0) {
+                // 7F 04 22 = conditions not correct (engine running on most ECUs)
+                throw new Error(/7F\s*04/i.test(raw) ? 'ECU refused the clear request' : 'No response to clear request');
             }
+            System.log('Diagnostics', `Mode 04 acknowledged by ${acknowledged.join(', ')}`);
+        },
+
+        /**
+         * Compare state before and after Mode 04
+         * @returns {Object} - { ok, remaining, permanent, milOn, reset }
+         */
+        verifyClear(before, after) {
+            const flatten = (byECU) => Object.values(byECU || {}).flat();
+            const remaining = [...new Set([...flatten(after.codes.confirmed), ...flatten(after.codes.pending)])];
+            const milOn = Object.values(after.status || {}).some(s => s.milStatus);
+
+            // Monitors that had completed and now have to run again
+            const readiness = System.activeApps.readiness;
+            const reset = [];
+            if (readiness && before.status && after.status) {
+                const was = readiness.mergeMonitors(Object.values(before.status));
+                const now = readiness.mergeMonitors(Object.values(after.status));
+                Object.keys(was).forEach(key => {
+                    if (was[key].complete && now[key]?.supported && !now[key].complete) {
+                        reset.push(readiness.MONITOR_NAMES[key] || key);
+                    }
+                });
+            }
+
+            return {
+                ok: remaining.length === 0 && !milOn,
+                remaining,
+                permanent: [...new Set(flatten(after.codes.permanent))],
+                milOn,
+                reset
+            };
+        },
+
+        renderClearReport() {
+            const report = this.clearReport;
+            if (!report) return '';
+            return `
+                <div class="dtc-warning" style="border-color:${report.ok ? 'var(--green)' : 'var(--orange)'};color:${report.ok ? 'var(--green)' : 'var(--orange)'};">
+                    <strong>${report.ok ? '✓ Codes cleared' : '⚠️ Clear not complete'}</strong>
+                    ${report.remaining.length ? `<div>Still reported: ${report.remaining.join(', ')}</div>` : ''}
+                    ${report.milOn ? '<div>Check engine light is still on.</div>' : ''}
+                    ${report.permanent.length ? `<div>Permanent, clear themselves after the monitor passes: ${report.permanent.join(', ')}</div>` : ''}
+                    <div class="dtc-desc">${report.reset.length
+                        ? `Monitors reset - drive to complete them again: ${report.reset.join(', ')}`
+                        : 'No completed monitors were reset.'}</div>
+                    ${System.activeApps.dtchistory ? '<div class="dtc-desc">Pre-clear report saved to Code History.</div>' : ''}
+                </div>
+            `;
+        },
+
+        shutdown() {
+            this.simCleared = false;
+            this.clearReport = null;
         }
     };
 
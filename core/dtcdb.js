@@ -0,0 +1,138 @@
+/**
+ * Gnokestation DTC Database Loader v1.0
+ * Extends the built-in window.DTC_DB with code packs from data/dtc/
+ *
+ * - generic.json      SAE J2012 generic powertrain codes (P0xxx/P2xxx) and
+ *                     common network codes (U0xxx), plus a few frequent
+ *                     ABS and airbag codes (C0/B0 are far from complete),
+ *                     merged into DTC_DB
+ * - <make>.json       Common manufacturer-specific codes (P1xxx etc.),
+ *                     picked from the manufacturer the VIN plugin decoded.
+ *                     Not complete - unlisted codes point to the service manual
+ *
+ * Packs are fetched on first use and cached by the service worker,
+ * so descriptions keep working offline.
+ */
+
+(() => {
+    const DTC_PATH = 'data/dtc/';
+    const PACK_KEY = 'gnoke_obd2_dtc_pack';
+
+    // Manufacturer packs and the VIN manufacturer names they cover
+    const DTC_PACKS = {
+        toyota: /toyota|lexus|scion/i,
+        ford:   /ford|lincoln|mercury/i,
+        gm:     /general motors|chevrolet|pontiac|buick|cadillac|gmc|oldsmobile|saturn/i,
+        vag:    /volkswagen|audi|seat|skoda/i,
+        honda:  /honda|acura/i
+    };
+
+    const DTCDatabaseApp = {
+        id: 'dtcdb',
+        loading: {},        // file -> Promise of the parsed pack
+        genericLoaded: false,
+        pack: null,         // Active manufacturer pack id
+        packName: null,
+
+        init() {
+            System.log('DTC-DB', 'Initializing DTC database loader...');
+
+            // Remember the last vehicle's pack so codes read before the VIN still resolve
+            const saved = localStorage.getItem(PACK_KEY);
+            if (saved && DTC_PACKS[saved]) this.selectPack(saved);
+
+            System.log('DTC-DB', '✓ Ready');
+        },
+
+        /**
+         * Fetch one pack file once; later calls share the same promise
+         * @returns {Promise<Object|null>} - { name, codes } or null when unavailable
+         */
+        fetchPack(file) {
+            if (!this.loading[file]) {
+                this.loading[file] = fetch(DTC_PATH + file)
+                    .then(res => {
+                        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                        return res.json();
+                    })
+                    .catch(err => {
+                        System.log('DTC-DB', `⚠️ ${file} not available: ${err.message}`);
+                        delete this.loading[file]; // Allow a retry later
+                        return null;
+                    });
+            }
+            return this.loading[file];
+        },
+
+        /**
+         * Merge the generic set into DTC_DB (built-in entries stay as fallback)
+         */
+        async loadGeneric() {
+            if (this.genericLoaded) return;
+            const pack = await this.fetchPack('generic.json');
+            if (!pack || this.genericLoaded) return;
+
+            const before = Object.keys(window.DTC_DB).length;
+            Object.assign(window.DTC_DB, pack.codes);
+            this.genericLoaded = true;
+            System.log('DTC-DB', `✓ Generic codes loaded: ${Object.keys(window.DTC_DB).length - before} added`);
+        },
+
+        /**
+         * Find the pack for a manufacturer name decoded from the VIN
+         * @param {string} manufacturer - e.g. "Honda (Canada)", "Chevrolet"
+         * @returns {string|null} - Pack id
+         */
+        packFor(manufacturer) {
+            if (!manufacturer) return null;
+            return Object.keys(DTC_PACKS).find(id => DTC_PACKS[id].test(manufacturer)) || null;
+        },
+
+        /**
+         * Called by the VIN plugin once the vehicle is identified
+         */
+        async selectForManufacturer(manufacturer) {
+            const id = this.packFor(manufacturer);
+            if (!id) {
+                System.log('DTC-DB', `No manufacturer code pack for ${manufacturer} - generic codes only`);
+                this.clearPack();
+                return;
+            }
+            await this.selectPack(id);
+        },
+
+        async selectPack(id) {
+            if (this.pack === id) return;
+            const pack = await this.fetchPack(`${id}.json`);
+            if (!pack) return;
+
+            window.DTC_MANUFACTURER_DB = { ...pack.codes };
+            this.pack = id;
+            this.packName = pack.name;
+            localStorage.setItem(PACK_KEY, id);
+            System.log('DTC-DB', `✓ ${pack.name} codes loaded (${Object.keys(pack.codes).length})`);
+
+            System.activeApps.diagnostics?.refresh?.();
+        },
+
+        clearPack() {
+            if (!this.pack) return;
+            window.DTC_MANUFACTURER_DB = {};
+            this.pack = null;
+            this.packName = null;
+            localStorage.removeItem(PACK_KEY);
+            System.activeApps.diagnostics?.refresh?.();
+        },
+
+        /**
+         * Short description of what is loaded, for the Fault Codes view
+         */
+        describeSources() {
+            const generic = this.genericLoaded ? 'Generic' : 'Built-in generic';
+            return this.packName ? `${generic} + ${this.packName}` : generic;
+        }
+    };
+
+    window.System.activeApps.dtcdb = DTCDatabaseApp;
+    DTCDatabaseApp.init();
+})();
@@ -7,10 +7,42 @@
  * - Automatic protocol detection
  * - Robust error handling
  * - Support for both Web Serial and Web Bluetooth APIs
- * 
- * NEVER NEEDS MODIFICATION - All hardware communication logic is here
  */
 
+// ELM327 protocol numbers (ATSPn / ATDPN)
+const OBD_PROTOCOLS = {
+    '1': 'SAE J1850 PWM',
+    '2': 'SAE J1850 VPW',
+    '3': 'ISO 9141-2',
+    '4': 'ISO 14230-4 KWP (5-baud init)',
+    '5': 'ISO 14230-4 KWP (fast init)',
+    '6': 'ISO 15765-4 CAN (11-bit, 500 kbps)',
+    '7': 'ISO 15765-4 CAN (29-bit, 500 kbps)',
+    '8': 'ISO 15765-4 CAN (11-bit, 250 kbps)',
+    '9': 'ISO 15765-4 CAN (29-bit, 250 kbps)',
+    'A': 'SAE J1939 CAN',
+    'B': 'User1 CAN',
+    'C': 'User2 CAN'
+};
+
+// Version-gated AT commands used to catch clones that report a
+// version they do not implement (per the ELM327 datasheet history)
+const ELM_VERSION_PROBES = [
+    { cmd: 'ATPPS', since: 1.1, label: 'Programmable parameters' },
+    { cmd: 'ATIGN', since: 1.4, label: 'Ignition input monitor' },
+    { cmd: 'ATAMC', since: 2.0, label: 'Activity monitor count' }
+];
+
+// Link-loss recovery
+const MAX_CONSECUTIVE_TIMEOUTS = 3;
+const MAX_RECONNECT_ATTEMPTS = 6;   // 1s, 2s, 4s, 8s, 16s, 30s
+const MAX_RECONNECT_DELAY = 30000;
+const BUS_ERROR = /CAN ERROR|BUS INIT[^\r\n]*ERROR|BUS ERROR/i;
+
+// Config limits - below this the adapter cannot answer and every command times out
+const MIN_RESPONSE_TIMEOUT = 500;
+const MIN_COMMAND_DELAY = 0;
+
 window.OBDKernel = class OBDInterface {
     constructor() {
         // Serial connection
@@ -25,12 +57,65 @@ window.OBDKernel = class OBDInterface {
         // Connection state
         this.connected = false;
         this.buffer = '';
+        this.transport = null;      // 'serial' | 'ble' - reused on reconnect
+        this.ready = false;         // Init finished - link-loss detection armed
+        this.closing = false;       // We are tearing the transport down ourselves
+        this.userClosed = false;    // Disconnect requested - stop reconnecting
+        this.reconnecting = false;
+        this.consecutiveTimeouts = 0;
+        this.listeners = {};        // Event name -> handlers (see on/emit)
         
         // Command queue management
         this.commandQueue = [];
         this.isProcessingQueue = false;
         this.lastCommandTime = 0;
         this.minCommandDelay = 150; // Prevent ELM327 congestion
+        this.responseTimeout = 3000;
+        this.protocolSetting = 'auto'; // Config override: 'auto', 'n' (ATSPn) or 'try-n' (ATTPn)
+        
+        // Vehicle capabilities (Mode 01 supported-PID bitmaps)
+        this.supportedPIDs = null;  // Set of '01xx' codes, null until discovered
+        this.ecuCapabilities = {};  // Per-ECU sets keyed by address
+        
+        // Negotiated bus (ATDPN) - multi-PID requests are CAN only
+        this.protocol = null;
+        this.multiPIDEnabled = true; // Cleared if the ECU rejects batched requests
+        this.maxPIDsPerRequest = 6;  // ISO 15765-4 limit
+        
+        // Adapter identity and AT command support (see probeAdapter)
+        this.adapterInfo = null;
+    }
+
+    /**
+     * Subscribe to kernel events:
+     * 'disconnected', 'reconnecting', 'reconnected', 'reconnect-failed'
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    emit(event, detail = {}) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (err) {
+                System.log('Kernel', `${event} handler error: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Unified connect entry point used by System.boot()
+     * Picks up the latest Config values before talking to the adapter
+     */
+    async connect(mode) {
+        await this.applySettings(window.GnokeSettings || {});
+        this.userClosed = false;
+        
+        if (mode === 'serial') return this.connectSerial();
+        if (mode === 'ble') return this.connectBLE();
+        System.log('Kernel', `Unknown connection mode: ${mode}`);
+        return false;
     }
 
     /**
@@ -39,14 +124,10 @@ window.OBDKernel = class OBDInterface {
     async connectSerial() {
         try {
             this.port = await navigator.serial.requestPort();
-            await this.port.open({ baudRate: 38400 });
-            
-            this.reader = this.port.readable.getReader();
-            this.writer = this.port.writable.getWriter();
-            this.connected = true;
-            
-            this.startReading();
-            await this.initELM327();
+            this.transport = 'serial';
+            await this.openSerial();
+            if (!(await this.initELM327())) throw new Error('Adapter not answering');
+            this.ready = true;
             return true;
         } catch (err) {
             System.log('Kernel', `Serial connection failed: ${err.message}`);
@@ -63,19 +144,14 @@ window.OBDKernel = class OBDInterface {
                 filters: [{ services: ['0000fff0-0000-1000-8000-00805f9b34fb'] }],
                 optionalServices: ['0000fff0-0000-1000-8000-00805f9b34fb']
             });
-            
-            const server = await this.device.gatt.connect();
-            const service = await server.getPrimaryService('0000fff0-0000-1000-8000-00805f9b34fb');
-            this.characteristic = await service.getCharacteristic('0000fff1-0000-1000-8000-00805f9b34fb');
-            
-            await this.characteristic.startNotifications();
-            this.characteristic.addEventListener('characteristicvaluechanged', (e) => {
-                const value = new TextDecoder().decode(e.target.value);
-                this.handleIncomingData(value);
+            this.device.addEventListener('gattserverdisconnected', () => {
+                this.handleLinkLoss('Bluetooth link dropped');
             });
-
-            this.connected = true;
-            await this.initELM327();
+            
+            this.transport = 'ble';
+            await this.openBLE();
+            if (!(await this.initELM327())) throw new Error('Adapter not answering');
+            this.ready = true;
             return true;
         } catch (err) {
             System.log('Kernel', `BLE connection failed: ${err.message}`);
@@ -83,6 +159,159 @@ window.OBDKernel = class OBDInterface {
         }
     }
 
+    /**
+     * Open the already-chosen serial port (no chooser prompt)
+     */
+    async openSerial() {
+        const baudRate = window.GnokeSettings?.baudRate || 38400;
+        await this.port.open({ baudRate });
+        
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+        this.connected = true;
+        
+        this.startReading();
+    }
+
+    /**
+     * Connect GATT on the already-chosen device (no chooser prompt)
+     */
+    async openBLE() {
+        const server = await this.device.gatt.connect();
+        const service = await server.getPrimaryService('0000fff0-0000-1000-8000-00805f9b34fb');
+        this.characteristic = await service.getCharacteristic('0000fff1-0000-1000-8000-00805f9b34fb');
+        
+        await this.characteristic.startNotifications();
+        this.characteristic.addEventListener('characteristicvaluechanged', (e) => {
+            const value = new TextDecoder().decode(e.target.value);
+            this.handleIncomingData(value);
+        });
+
+        this.connected = true;
+    }
+
+    /**
+     * Release reader/writer/port or GATT, keeping the port/device handle
+     * so a reconnect can reopen it
+     */
+    async closeTransport() {
+        this.closing = true;
+        
+        if (this.reader) {
+            try {
+                await this.reader.cancel();
+                this.reader.releaseLock();
+            } catch (err) {
+                // Silently handle cleanup errors
+            }
+            this.reader = null;
+        }
+        
+        if (this.writer) {
+            try {
+                await this.writer.close();
+            } catch (err) {
+                // Silently handle cleanup errors
+            }
+            this.writer = null;
+        }
+        
+        if (this.port) {
+            try {
+                await this.port.close();
+            } catch (err) {
+                // Silently handle cleanup errors
+            }
+        }
+        
+        if (this.device && this.device.gatt.connected) {
+            try {
+                this.device.gatt.disconnect();
+            } catch (err) {
+                // Silently handle cleanup errors
+            }
+        }
+        
+        this.characteristic = null;
+        this.closing = false;
+    }
+
+    /**
+     * Link went away underneath us - fail pending commands, tell the app,
+     * then try to get it back
+     * @param {string} reason - Shown in the log and status bar
+     * @param {boolean} reopen - false for vehicle bus errors: the adapter
+     *                           link is fine, it only needs re-initialising
+     */
+    handleLinkLoss(reason, reopen = true) {
+        if (!this.ready || this.closing || this.reconnecting || this.userClosed) return;
+        
+        this.ready = false;
+        this.connected = false;
+        System.log('Kernel', `⚠️ Link lost: ${reason}`);
+        
+        this.failPending(new Error(`Link lost: ${reason}`));
+        this.emit('disconnected', { reason });
+        this.reconnect(reason, reopen);
+    }
+
+    /**
+     * Reject every queued command so callers stop waiting on a dead link
+     */
+    failPending(err) {
+        const pending = this.commandQueue;
+        this.commandQueue = [];
+        pending.forEach(({ reject }) => reject(err));
+    }
+
+    /**
+     * Exponential backoff reconnect to the same port/device
+     */
+    async reconnect(reason, reopen) {
+        this.reconnecting = true;
+        
+        for (let attempt = 1; attempt <= MAX_RECONNECT_ATTEMPTS; attempt++) {
+            const delay = Math.min(1000 * 2 ** (attempt - 1), MAX_RECONNECT_DELAY);
+            System.log('Kernel', `Reconnect attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS} in ${delay / 1000}s...`);
+            this.emit('reconnecting', { attempt, delay });
+            
+            await new Promise(r => setTimeout(r, delay));
+            if (this.userClosed) break;
+            
+            try {
+                if (reopen) {
+                    await this.closeTransport();
+                    if (this.transport === 'ble') {
+                        await this.openBLE();
+                    } else {
+                        await this.openSerial();
+                    }
+                } else {
+                    this.connected = true;
+                }
+                
+                if (!(await this.initELM327())) throw new Error('Adapter not answering');
+                
+                this.reconnecting = false;
+                this.consecutiveTimeouts = 0;
+                this.ready = true;
+                System.log('Kernel', '✓ Link restored');
+                this.emit('reconnected', { attempt });
+                return true;
+            } catch (err) {
+                this.connected = false;
+                System.log('Kernel', `Reconnect attempt ${attempt} failed: ${err.message}`);
+            }
+        }
+        
+        this.reconnecting = false;
+        if (!this.userClosed) {
+            System.log('Kernel', `⚠️ Could not restore link (${reason})`);
+            this.emit('reconnect-failed', { reason });
+        }
+        return false;
+    }
+
     /**
      * Initialize ELM327 adapter with optimal settings
      */
@@ -96,33 +325,360 @@ window.OBDKernel = class OBDInterface {
             'ATS0',   // Spaces off
             'ATH1',   // Headers on
             'ATAT1',  // Adaptive timing auto1
-            'ATSP0'   // Auto protocol detect
+            this.protocolCommand() // Auto detect unless Config forces one
         ];
         
+        const commands = {};
         for (const cmd of initCommands) {
             try {
-                await this.sendCommand(cmd);
+                const reply = await this.sendCommand(cmd);
+                commands[cmd] = !this.isRejected(reply);
+                if (!commands[cmd]) System.log('Kernel', `Init warning: ${cmd} not supported by adapter`);
                 // Special delay after reset
                 await new Promise(r => setTimeout(r, cmd === 'ATZ' ? 1500 : 100));
             } catch (err) {
+                commands[cmd] = false;
                 System.log('Kernel', `Init warning: ${cmd} - ${err.message}`);
             }
         }
         
+        // Nothing answered at all - the adapter is not there
+        if (!Object.values(commands).some(Boolean)) {
+            System.log('Kernel', '⚠️ Adapter did not answer initialisation');
+            return false;
+        }
+        
         System.log('Kernel', '✓ ELM327 ready');
+        
+        await this.probeAdapter(commands);
+        
+        await this.discoverSupportedPIDs();
+        await this.detectProtocol();
+        return true;
+    }
+
+    /**
+     * ELM327 answers '?' to commands it does not know
+     */
+    isRejected(reply) {
+        return !reply || reply.trim() === '?' || /\?\s*$/.test(reply.trim());
+    }
+
+    /**
+     * Identify the adapter and record which AT commands it really supports
+     * ATI/AT@1 for every ELM327, STI/STDI for STN chips, ATRV for voltage.
+     * Genuine ELM327 firmware was never released as v1.5, and cheap clones
+     * reporting v1.5 or v2.1 usually reject commands added in those versions.
+     */
+    async probeAdapter(commands = {}) {
+        const info = {
+            identity: null,     // ATI, e.g. "ELM327 v1.5"
+            version: null,      // Parsed from ATI
+            description: null,  // AT@1
+            stn: null,          // STI, e.g. "STN1110 v4.2.1"
+            stnDevice: null,    // STDI
+            voltage: null,      // ATRV in volts
+            commands,           // { 'ATPPS': true, ... }
+            clone: false,
+            cloneReasons: []
+        };
+        
+        const ask = async (cmd) => {
+            try {
+                const reply = (await this.sendCommand(cmd)).trim();
+                info.commands[cmd] = !this.isRejected(reply);
+                return info.commands[cmd] ? reply : null;
+            } catch (err) {
+                info.commands[cmd] = false;
+                return null;
+            }
+        };
+        
+        info.identity = await ask('ATI');
+        const version = info.identity?.match(/v(\d+\.\d+)/i);
+        info.version = version ? parseFloat(version[1]) : null;
+        info.description = await ask('AT@1');
+        
+        // STN chips (OBDLink etc.) - an ELM327 answers '?'
+        info.stn = await ask('STI');
+        if (info.stn) info.stnDevice = await ask('STDI');
+        
+        const voltage = (await ask('ATRV'))?.match(/(\d+(\.\d+)?)/);
+        info.voltage = voltage ? parseFloat(voltage[1]) : null;
+        
+        for (const probe of ELM_VERSION_PROBES) {
+            const supported = (await ask(probe.cmd)) !== null;
+            if (!supported && !info.stn && info.version !== null && info.version >= probe.since) {
+                info.cloneReasons.push(`${probe.cmd} (${probe.label}, v${probe.since}) rejected`);
+            }
+        }
+        
+        if (info.version === 1.5 && !info.stn) {
+            info.cloneReasons.unshift('Reports v1.5, which was never an official ELM327 release');
+        }
+        info.clone = info.cloneReasons.length > 0;
+        
+        this.adapterInfo = info;
+        System.log('Kernel', `Adapter: ${info.stn || info.identity || 'unknown'}${info.voltage !== null ? ` · ${info.voltage.toFixed(1)}V` : ''}`);
+        if (info.clone) {
+            System.log('Kernel', `⚠️ Adapter looks like a clone: ${info.cloneReasons.join('; ')}`);
+        }
+        this.showAdapterInfo();
+    }
+
+    /**
+     * Reflect adapter identity in the Config view
+     */
+    showAdapterInfo() {
+        const el = document.getElementById('cfg-adapter');
+        if (!el) return;
+        
+        const info = this.adapterInfo;
+        if (!this.connected || !info) {
+            el.innerHTML = '<p class="hint">Connect an adapter to identify it.</p>';
+            return;
+        }
+        
+        const rows = [
+            ['Identity', info.identity || 'Unknown'],
+            ['Description', info.description || '—'],
+            ['STN chip', info.stn ? `${info.stn}${info.stnDevice ? ` (${info.stnDevice})` : ''}` : 'No'],
+            ['Supply voltage', info.voltage !== null ? `${info.voltage.toFixed(1)} V` : '—'],
+            // STI/STDI failing just means "not an STN chip"
+            ['Unsupported AT', Object.keys(info.commands).filter(c => !info.commands[c] && !c.startsWith('ST')).join(', ') || 'None']
+        ];
+        
+        el.innerHTML = `
+            <table class="info-table">
+                ${rows.map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join('')}
+            </table>
+            ${info.clone ? `
+                <p class="hint" style="color:var(--orange);">
+                    <strong style="color:var(--orange);">⚠️ Likely clone firmware.</strong>
+                    ${info.cloneReasons.join('. ')}. Expect dropped replies - raise the command delay if polling is unreliable.
+                </p>` : '<p class="hint">Firmware answers consistently with its reported version.</p>'}`;
+    }
+
+    /**
+     * Apply Config values (protocol, timeout, command delay)
+     * Called at connect and from Settings.save() - a protocol change on a
+     * live connection re-selects the bus and re-runs PID discovery.
+     */
+    async applySettings(cfg) {
+        if (Number.isFinite(cfg.commandDelay)) this.minCommandDelay = Math.max(cfg.commandDelay, MIN_COMMAND_DELAY);
+        if (Number.isFinite(cfg.timeout)) this.responseTimeout = Math.max(cfg.timeout, MIN_RESPONSE_TIMEOUT);
+        
+        const protocol = cfg.protocol || 'auto';
+        const changed = protocol !== this.protocolSetting;
+        this.protocolSetting = protocol;
+        
+        if (!this.connected || !changed) return;
+        
+        System.log('Kernel', `Switching protocol: ${this.protocolSettingName()}`);
+        try {
+            await this.sendCommand(this.protocolCommand());
+            this.multiPIDEnabled = true;
+            await this.discoverSupportedPIDs();
+            await this.detectProtocol();
+        } catch (err) {
+            System.log('Kernel', `Protocol switch failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * ATSP0 lets the adapter search, ATSPn pins protocol n,
+     * ATTPn tries protocol n first and falls back to auto-search
+     */
+    protocolCommand() {
+        const setting = this.protocolSetting;
+        if (setting.startsWith('try-') && OBD_PROTOCOLS[setting.substring(4)]) return `ATTP${setting.substring(4)}`;
+        return OBD_PROTOCOLS[setting] ? `ATSP${setting}` : 'ATSP0';
+    }
+
+    protocolSettingName() {
+        const setting = this.protocolSetting;
+        if (setting.startsWith('try-') && OBD_PROTOCOLS[setting.substring(4)]) {
+            return `auto detect, trying ${OBD_PROTOCOLS[setting.substring(4)]} first`;
+        }
+        return OBD_PROTOCOLS[setting] || 'auto detect';
+    }
+
+    /**
+     * Read the protocol the adapter settled on (after the first request)
+     * ATDPN answers e.g. "A6" - 'A' means it was found by auto-search
+     */
+    async detectProtocol() {
+        try {
+            const raw = await this.sendCommand('ATDPN');
+            const match = raw.toUpperCase().match(/A?([0-9A-C])\s*$/);
+            this.protocol = match ? match[1] : null;
+            System.log('Kernel', `Protocol ${this.protocolName()}${this.isCAN() ? ' (CAN - multi-PID requests enabled)' : ''}`);
+        } catch (err) {
+            this.protocol = null;
+            System.log('Kernel', `Protocol query failed: ${err.message}`);
+        }
+        this.showProtocol();
+    }
+
+    protocolName() {
+        return OBD_PROTOCOLS[this.protocol] || 'unknown';
+    }
+
+    /**
+     * Reflect the negotiated protocol in the Config view
+     */
+    showProtocol() {
+        const el = document.getElementById('cfg-negotiated');
+        if (!el) return;
+        
+        if (!this.connected) {
+            el.textContent = 'Not connected';
+        } else {
+            const auto = OBD_PROTOCOLS[this.protocolSetting] ? '' : ' (auto detected)';
+            el.textContent = this.protocol ? `${this.protocolName()}${auto}` : 'Unknown';
+        }
+    }
+
+    /**
+     * ISO 15765-4 CAN variants are protocols 6-9, user CAN is A-C
+     */
+    isCAN() {
+        return /^[6-9A-C]$/.test(this.protocol || '');
+    }
+
+    /**
+     * How many Mode 01 PIDs can share one request right now
+     */
+    batchSize() {
+        return this.isCAN() && this.multiPIDEnabled ? this.maxPIDsPerRequest : 1;
+    }
+
+    /**
+     * Read several Mode 01 PIDs, batching them when the bus allows it
+     * @param {string[]} codes - Request codes like ['010C', '010D']
+     * @returns {Object<string, number[]|null>} - Data bytes per code
+     */
+    async requestPIDs(codes, timeout = this.responseTimeout) {
+        const results = {};
+        const size = this.batchSize();
+        
+        // PIDs of unknown length are always requested on their own
+        const chunks = [];
+        const batchable = codes.filter(code => window.isBatchablePID(code));
+        for (let i = 0; i < batchable.length; i += size) {
+            chunks.push(batchable.slice(i, i + size));
+        }
+        codes.filter(code => !window.isBatchablePID(code)).forEach(code => chunks.push([code]));
+        
+        for (const chunk of chunks) {
+            if (chunk.length > 1) {
+                const pids = chunk.map(code => code.substring(2));
+                try {
+                    const raw = await this.sendCommand('01' + pids.join(''), timeout);
+                    const split = window.splitMultiPIDResponse(raw, pids);
+                    
+                    if (Object.keys(split).length > 0) {
+                        chunk.forEach(code => { results[code] = split[code.substring(2)] || null; });
+                        continue;
+                    }
+                    
+                    // Nothing decodable - this ECU does not take batched requests
+                    this.multiPIDEnabled = false;
+                    System.log('Kernel', '⚠️ Multi-PID request not answered - using single requests');
+                } catch (err) {
+                    System.log('Kernel', `Multi-PID request failed: ${err.message}`);
+                }
+            }
+            
+            // K-line, single PID, or batch fallback
+            for (const code of chunk) {
+                try {
+                    const raw = await this.sendCommand(code, timeout);
+                    results[code] = window.parseOBDResponse(raw, '41' + code.substring(2));
+                } catch (err) {
+                    results[code] = null;
+                }
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Query Mode 01 supported-PID bitmaps (PID 00, 20, 40 ... C0)
+     * Each bitmap's last bit says whether the next range exists,
+     * so the walk stops as soon as no ECU reports a further range.
+     */
+    async discoverSupportedPIDs() {
+        const supported = new Set();
+        const capabilities = {};
+        
+        for (const base of ['00', '20', '40', '60', '80', 'A0', 'C0']) {
+            if (base !== '00' && !supported.has('01' + base)) break;
+            
+            try {
+                // First request may trigger protocol search - allow extra time
+                const byECU = await this.sendCommandByECU('01' + base, '41' + base, base === '00' ? 10000 : this.responseTimeout);
+                
+                Object.keys(byECU).forEach(ecu => {
+                    if (!capabilities[ecu]) capabilities[ecu] = new Set();
+                    window.decodePIDBitmap(base, byECU[ecu]).forEach(pid => {
+                        capabilities[ecu].add('01' + pid);
+                        supported.add('01' + pid);
+                    });
+                });
+            } catch (err) {
+                System.log('Kernel', `PID discovery stopped at 01${base}: ${err.message}`);
+                break;
+            }
+        }
+        
+        if (supported.size === 0) {
+            System.log('Kernel', 'No supported-PID bitmap received - polling all PIDs');
+            this.supportedPIDs = null;
+            this.ecuCapabilities = {};
+            return;
+        }
+        
+        this.supportedPIDs = supported;
+        this.ecuCapabilities = capabilities;
+        System.log('Kernel', `✓ Vehicle supports ${supported.size} Mode 01 PIDs across ${Object.keys(capabilities).length} ECU(s)`);
+    }
+
+    /**
+     * Ask whether the connected vehicle supports a Mode 01 PID
+     * Unknown capability (discovery not run or failed) counts as supported
+     */
+    isSupported(code) {
+        if (!this.supportedPIDs) return true;
+        
+        const clean = code.toUpperCase();
+        if (!clean.startsWith('01')) return true;
+        return this.supportedPIDs.has(clean.substring(0, 4));
     }
 
     /**
      * Send command with queue management
      * This is the main API plugins use to communicate with hardware
      */
-    async sendCommand(cmd, timeout = 3000) {
+    async sendCommand(cmd, timeout = this.responseTimeout) {
+        if (!this.connected) throw new Error('Adapter not connected');
+        
         return new Promise((resolve, reject) => {
             this.commandQueue.push({ cmd, resolve, reject, timeout });
             this.processQueue();
         });
     }
 
+    /**
+     * Send command and split the reply by responding ECU
+     * Returns { '7E8': [bytes], '7E9': [bytes] } with the mode echo removed
+     */
+    async sendCommandByECU(cmd, expectedMode, timeout = this.responseTimeout) {
+        const raw = await this.sendCommand(cmd, timeout);
+        return window.parseOBDResponseByECU(raw, expectedMode);
+    }
+
     /**
      * Process command queue with timing control
      * Prevents overwhelming the ELM327 adapter
@@ -153,9 +709,18 @@ window.OBDKernel = class OBDInterface {
 
                 const result = await this.waitForResponse(timeout);
                 this.lastCommandTime = Date.now();
+                this.consecutiveTimeouts = 0;
                 resolve(result);
+                
+                if (BUS_ERROR.test(result)) {
+                    this.handleLinkLoss(`Vehicle bus error (${result.match(BUS_ERROR)[0]})`, false);
+                }
             } catch (err) {
                 reject(err);
+                
+                if (err.message.startsWith('Timeout') && ++this.consecutiveTimeouts >= MAX_CONSECUTIVE_TIMEOUTS) {
+                    this.handleLinkLoss(`${this.consecutiveTimeouts} commands in a row timed out`);
+                }
             }
         }
         
@@ -184,16 +749,22 @@ window.OBDKernel = class OBDInterface {
      * Serial data stream reader
      */
     async startReading() {
-        while (this.port && this.port.readable) {
+        const reader = this.reader;
+        let reason = 'Serial port closed';
+        
+        while (this.port && this.port.readable && reader === this.reader) {
             try {
-                const { value, done } = await this.reader.read();
+                const { value, done } = await reader.read();
                 if (done) break;
                 this.handleIncomingData(new TextDecoder().decode(value));
             } catch (err) {
-                System.log('Kernel', `Read error: ${err.message}`);
+                reason = `Read error: ${err.message}`;
                 break;
             }
         }
+        
+        // Stream ended without us closing it - cable pulled or adapter reset
+        if (reader === this.reader) this.handleLinkLoss(reason);
     }
 
     /**
@@ -208,49 +779,30 @@ window.OBDKernel = class OBDInterface {
      * Called by System.shutdown()
      */
     async disconnect() {
+        this.userClosed = true;
+        this.ready = false;
         this.connected = false;
-        this.commandQueue = [];
+        this.failPending(new Error('Disconnected'));
         this.isProcessingQueue = false;
         
-        if (this.reader) {
-            try {
-                await this.reader.cancel();
-            } catch (err) {
-                // Silently handle cleanup errors
-            }
-            this.reader = null;
-        }
-        
-        if (this.writer) {
-            try {
-                await this.writer.close();
-            } catch (err) {
-                // Silently handle cleanup errors
-            }
-            this.writer = null;
-        }
-        
-        if (this.port) {
-            try {
-                await this.port.close();
-            } catch (err) {
-                // Silently handle cleanup errors
-            }
-            this.port = null;
-        }
-        
-        if (this.device && this.device.gatt.connected) {
-            try {
-                this.device.gatt.disconnect();
-            } catch (err) {
-                // Silently handle cleanup errors
-            }
-        }
+        await this.closeTransport();
         
+        this.port = null;
+        this.transport = null;
+        this.consecutiveTimeouts = 0;
         this.device = null;
         this.characteristic = null;
+        this.supportedPIDs = null;
+        this.ecuCapabilities = {};
+        this.protocol = null;
+        this.multiPIDEnabled = true;
+        this.adapterInfo = null;
+        this.showProtocol();
+        this.showAdapterInfo();
     }
 };
 
+window.System.activeApps.kernel = new window.OBDKernel();
+
 System.log('Kernel', 'OBD-II Kernel loaded');
 
@@ -10,98 +10,615 @@
     // ========================================================================
     // PARAMETER IDs (PIDs) - Vehicle sensor query codes
     // ========================================================================
-    // Each PID contains:
+    // SAE J1979 Mode 01 catalogue. Each PID contains:
     // - code: The hex command sent to ELM327
     // - parse: Function to convert raw bytes to real-world value
     // - unit: Display unit for UI
-    
+    // - label: Human-readable name for generic UI rendering
+    // - min / max: Full scale range defined by J1979 (null for text PIDs)
+
+    // Shared decoders for the common J1979 scalings
+    const percent = (bytes) => bytes ? (bytes[0] * 100) / 255 : null;
+    const temperature = (bytes) => bytes ? bytes[0] - 40 : null;
+    const fuelTrim = (bytes) => bytes ? (bytes[0] - 128) * 100 / 128 : null;
+    const word = (bytes) => bytes && bytes.length >= 2 ? (bytes[0] * 256) + bytes[1] : null;
+    const lambda = (bytes) => bytes && bytes.length >= 2 ? word(bytes) * 2 / 65536 : null;
+    const o2Current = (bytes) => bytes && bytes.length >= 4 ? ((bytes[2] * 256) + bytes[3]) / 256 - 128 : null;
+    const catalystTemp = (bytes) => bytes && bytes.length >= 2 ? word(bytes) / 10 - 40 : null;
+    const lookup = (table) => (bytes) => bytes ? (table[bytes[0]] || `Unknown (${bytes[0]})`) : null;
+
     window.PIDS = {
         // Core Dashboard Metrics
         RPM: { 
             code: '010C', 
             parse: (bytes) => bytes ? ((bytes[0] * 256) + bytes[1]) / 4 : null,
-            unit: 'RPM'
+            unit: 'RPM',
+            label: 'Engine Speed',
+            min: 0, max: 16383.75
         },
         SPEED: { 
             code: '010D', 
             parse: (bytes) => bytes ? bytes[0] : null,
-            unit: 'km/h'
+            unit: 'km/h',
+            label: 'Vehicle Speed',
+            min: 0, max: 255
         },
         COOLANT: { 
             code: '0105', 
             parse: (bytes) => bytes ? bytes[0] - 40 : null,
-            unit: '°C'
+            unit: '°C',
+            label: 'Coolant Temperature',
+            min: -40, max: 215
         },
         THROTTLE: { 
             code: '0111', 
             parse: (bytes) => bytes ? (bytes[0] * 100) / 255 : null,
-            unit: '%'
+            unit: '%',
+            label: 'Throttle Position',
+            min: 0, max: 100
         },
         
         // Extended Metrics
         FUEL_LEVEL: { 
             code: '012F', 
             parse: (bytes) => bytes ? (bytes[0] * 100) / 255 : null,
-            unit: '%'
+            unit: '%',
+            label: 'Fuel Tank Level',
+            min: 0, max: 100
         },
         BATTERY: { 
             code: '0142', 
             parse: (bytes) => bytes ? ((bytes[0] * 256) + bytes[1]) / 1000 : null,
-            unit: 'V'
+            unit: 'V',
+            label: 'Control Module Voltage',
+            min: 0, max: 65.535
         },
         ENGINE_LOAD: {
             code: '0104',
             parse: (bytes) => bytes ? (bytes[0] * 100) / 255 : null,
-            unit: '%'
+            unit: '%',
+            label: 'Calculated Engine Load',
+            min: 0, max: 100
+        },
+        ABSOLUTE_LOAD: {
+            code: '0143',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) * 100 / 255 : null,
+            unit: '%',
+            label: 'Absolute Load Value',
+            min: 0, max: 25700
+        },
+        RUN_TIME: {
+            code: '011F',
+            parse: word,
+            unit: 's',
+            label: 'Run Time Since Engine Start',
+            min: 0, max: 65535
         },
         
         // Performance Metrics
         TIMING_ADVANCE: {
             code: '010E',
             parse: (bytes) => bytes ? (bytes[0] - 128) / 2 : null,
-            unit: '°'
+            unit: '°',
+            label: 'Timing Advance',
+            min: -64, max: 63.5
         },
         INTAKE_TEMP: {
             code: '010F',
             parse: (bytes) => bytes ? bytes[0] - 40 : null,
-            unit: '°C'
+            unit: '°C',
+            label: 'Intake Air Temperature',
+            min: -40, max: 215
         },
         MAF_RATE: {
             code: '0110',
             parse: (bytes) => bytes ? ((bytes[0] * 256) + bytes[1]) / 100 : null,
-            unit: 'g/s'
+            unit: 'g/s',
+            label: 'Mass Air Flow Rate',
+            min: 0, max: 655.35
+        },
+        INTAKE_MAP: {
+            code: '010B',
+            parse: (bytes) => bytes ? bytes[0] : null,
+            unit: 'kPa',
+            label: 'Intake Manifold Pressure',
+            min: 0, max: 255
+        },
+        BAROMETRIC_PRESSURE: {
+            code: '0133',
+            parse: (bytes) => bytes ? bytes[0] : null,
+            unit: 'kPa',
+            label: 'Barometric Pressure',
+            min: 0, max: 255
+        },
+        AMBIENT_TEMP: {
+            code: '0146',
+            parse: temperature,
+            unit: '°C',
+            label: 'Ambient Air Temperature',
+            min: -40, max: 215
+        },
+        OIL_TEMP: {
+            code: '015C',
+            parse: temperature,
+            unit: '°C',
+            label: 'Engine Oil Temperature',
+            min: -40, max: 210
+        },
+        
+        // Throttle & Pedal
+        RELATIVE_THROTTLE: {
+            code: '0145',
+            parse: percent,
+            unit: '%',
+            label: 'Relative Throttle Position',
+            min: 0, max: 100
+        },
+        THROTTLE_B: {
+            code: '0147',
+            parse: percent,
+            unit: '%',
+            label: 'Absolute Throttle Position B',
+            min: 0, max: 100
+        },
+        THROTTLE_C: {
+            code: '0148',
+            parse: percent,
+            unit: '%',
+            label: 'Absolute Throttle Position C',
+            min: 0, max: 100
+        },
+        PEDAL_D: {
+            code: '0149',
+            parse: percent,
+            unit: '%',
+            label: 'Accelerator Pedal Position D',
+            min: 0, max: 100
+        },
+        PEDAL_E: {
+            code: '014A',
+            parse: percent,
+            unit: '%',
+            label: 'Accelerator Pedal Position E',
+            min: 0, max: 100
+        },
+        PEDAL_F: {
+            code: '014B',
+            parse: percent,
+            unit: '%',
+            label: 'Accelerator Pedal Position F',
+            min: 0, max: 100
+        },
+        COMMANDED_THROTTLE: {
+            code: '014C',
+            parse: percent,
+            unit: '%',
+            label: 'Commanded Throttle Actuator',
+            min: 0, max: 100
+        },
+        RELATIVE_PEDAL: {
+            code: '015A',
+            parse: percent,
+            unit: '%',
+            label: 'Relative Accelerator Pedal Position',
+            min: 0, max: 100
+        },
+        
+        // Torque
+        DEMAND_TORQUE: {
+            code: '0161',
+            parse: (bytes) => bytes ? bytes[0] - 125 : null,
+            unit: '%',
+            label: "Driver's Demand Engine Torque",
+            min: -125, max: 130
+        },
+        ACTUAL_TORQUE: {
+            code: '0162',
+            parse: (bytes) => bytes ? bytes[0] - 125 : null,
+            unit: '%',
+            label: 'Actual Engine Torque',
+            min: -125, max: 130
+        },
+        REFERENCE_TORQUE: {
+            code: '0163',
+            parse: word,
+            unit: 'Nm',
+            label: 'Engine Reference Torque',
+            min: 0, max: 65535
         },
         
         // Fuel System
+        FUEL_SYSTEM_STATUS: {
+            code: '0103',
+            parse: lookup({
+                1: 'Open loop (cold)',
+                2: 'Closed loop',
+                4: 'Open loop (load / decel)',
+                8: 'Open loop (system fault)',
+                16: 'Closed loop (feedback fault)'
+            }),
+            unit: '',
+            label: 'Fuel System Status',
+            min: null, max: null
+        },
         SHORT_FUEL_TRIM_1: {
             code: '0106',
             parse: (bytes) => bytes ? (bytes[0] - 128) * 100 / 128 : null,
-            unit: '%'
+            unit: '%',
+            label: 'Short Term Fuel Trim Bank 1',
+            min: -100, max: 99.2
         },
         LONG_FUEL_TRIM_1: {
             code: '0107',
             parse: (bytes) => bytes ? (bytes[0] - 128) * 100 / 128 : null,
-            unit: '%'
+            unit: '%',
+            label: 'Long Term Fuel Trim Bank 1',
+            min: -100, max: 99.2
+        },
+        SHORT_FUEL_TRIM_2: {
+            code: '0108',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'Short Term Fuel Trim Bank 2',
+            min: -100, max: 99.2
+        },
+        LONG_FUEL_TRIM_2: {
+            code: '0109',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'Long Term Fuel Trim Bank 2',
+            min: -100, max: 99.2
+        },
+        FUEL_PRESSURE: {
+            code: '010A',
+            parse: (bytes) => bytes ? bytes[0] * 3 : null,
+            unit: 'kPa',
+            label: 'Fuel Pressure (Gauge)',
+            min: 0, max: 765
+        },
+        FUEL_RAIL_PRESSURE_VAC: {
+            code: '0122',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) * 0.079 : null,
+            unit: 'kPa',
+            label: 'Fuel Rail Pressure (Relative to Vacuum)',
+            min: 0, max: 5177.265
+        },
+        FUEL_RAIL_PRESSURE_DIRECT: {
+            code: '0123',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) * 10 : null,
+            unit: 'kPa',
+            label: 'Fuel Rail Gauge Pressure (Direct Injection)',
+            min: 0, max: 655350
+        },
+        FUEL_RAIL_ABS_PRESSURE: {
+            code: '0159',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) * 10 : null,
+            unit: 'kPa',
+            label: 'Fuel Rail Absolute Pressure',
+            min: 0, max: 655350
+        },
+        FUEL_TYPE: {
+            code: '0151',
+            parse: lookup({
+                1: 'Gasoline', 2: 'Methanol', 3: 'Ethanol', 4: 'Diesel',
+                5: 'LPG', 6: 'CNG', 7: 'Propane', 8: 'Electric',
+                9: 'Bifuel (Gasoline)', 10: 'Bifuel (Methanol)', 11: 'Bifuel (Ethanol)',
+                12: 'Bifuel (LPG)', 13: 'Bifuel (CNG)', 14: 'Bifuel (Propane)',
+                15: 'Bifuel (Electric)', 16: 'Bifuel (Electric/Combustion)',
+                17: 'Hybrid (Gasoline)', 18: 'Hybrid (Ethanol)', 19: 'Hybrid (Diesel)',
+                20: 'Hybrid (Electric)', 21: 'Hybrid (Electric/Combustion)',
+                22: 'Hybrid (Regenerative)', 23: 'Bifuel (Diesel)'
+            }),
+            unit: '',
+            label: 'Fuel Type',
+            min: null, max: null
+        },
+        ETHANOL_PERCENT: {
+            code: '0152',
+            parse: percent,
+            unit: '%',
+            label: 'Ethanol Fuel Percentage',
+            min: 0, max: 100
+        },
+        FUEL_INJECTION_TIMING: {
+            code: '015D',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) / 128 - 210 : null,
+            unit: '°',
+            label: 'Fuel Injection Timing',
+            min: -210, max: 301.992
+        },
+        FUEL_RATE: {
+            code: '015E',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) / 20 : null,
+            unit: 'L/h',
+            label: 'Engine Fuel Rate',
+            min: 0, max: 3212.75
+        },
+        COMMANDED_EQUIV_RATIO: {
+            code: '0144',
+            parse: lambda,
+            unit: 'λ',
+            label: 'Commanded Air-Fuel Equivalence Ratio',
+            min: 0, max: 2
         },
         
-        // Oxygen Sensors
+        // Oxygen Sensors (narrowband: voltage in byte A, trim in byte B)
         O2_B1S1: {
             code: '0114',
             parse: (bytes) => bytes ? bytes[0] / 200 : null,
-            unit: 'V'
+            unit: 'V',
+            label: 'O2 Sensor Bank 1 Sensor 1',
+            min: 0, max: 1.275
         },
         O2_B1S2: {
             code: '0115',
             parse: (bytes) => bytes ? bytes[0] / 200 : null,
-            unit: 'V'
+            unit: 'V',
+            label: 'O2 Sensor Bank 1 Sensor 2',
+            min: 0, max: 1.275
+        },
+        O2_B1S3: {
+            code: '0116',
+            parse: (bytes) => bytes ? bytes[0] / 200 : null,
+            unit: 'V',
+            label: 'O2 Sensor Bank 1 Sensor 3',
+            min: 0, max: 1.275
+        },
+        O2_B1S4: {
+            code: '0117',
+            parse: (bytes) => bytes ? bytes[0] / 200 : null,
+            unit: 'V',
+            label: 'O2 Sensor Bank 1 Sensor 4',
+            min: 0, max: 1.275
+        },
+        O2_B2S1: {
+            code: '0118',
+            parse: (bytes) => bytes ? bytes[0] / 200 : null,
+            unit: 'V',
+            label: 'O2 Sensor Bank 2 Sensor 1',
+            min: 0, max: 1.275
+        },
+        O2_B2S2: {
+            code: '0119',
+            parse: (bytes) => bytes ? bytes[0] / 200 : null,
+            unit: 'V',
+            label: 'O2 Sensor Bank 2 Sensor 2',
+            min: 0, max: 1.275
+        },
+        O2_B2S3: {
+            code: '011A',
+            parse: (bytes) => bytes ? bytes[0] / 200 : null,
+            unit: 'V',
+            label: 'O2 Sensor Bank 2 Sensor 3',
+            min: 0, max: 1.275
+        },
+        O2_B2S4: {
+            code: '011B',
+            parse: (bytes) => bytes ? bytes[0] / 200 : null,
+            unit: 'V',
+            label: 'O2 Sensor Bank 2 Sensor 4',
+            min: 0, max: 1.275
+        },
+        
+        // Secondary O2 sensor trims
+        SHORT_O2_TRIM_B1: {
+            code: '0155',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'Short Term Secondary O2 Trim Bank 1',
+            min: -100, max: 99.2
+        },
+        LONG_O2_TRIM_B1: {
+            code: '0156',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'Long Term Secondary O2 Trim Bank 1',
+            min: -100, max: 99.2
+        },
+        SHORT_O2_TRIM_B2: {
+            code: '0157',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'Short Term Secondary O2 Trim Bank 2',
+            min: -100, max: 99.2
+        },
+        LONG_O2_TRIM_B2: {
+            code: '0158',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'Long Term Secondary O2 Trim Bank 2',
+            min: -100, max: 99.2
+        },
+        
+        // EGR & Evaporative System
+        COMMANDED_EGR: {
+            code: '012C',
+            parse: percent,
+            unit: '%',
+            label: 'Commanded EGR',
+            min: 0, max: 100
+        },
+        EGR_ERROR: {
+            code: '012D',
+            parse: fuelTrim,
+            unit: '%',
+            label: 'EGR Error',
+            min: -100, max: 99.2
+        },
+        COMMANDED_EVAP_PURGE: {
+            code: '012E',
+            parse: percent,
+            unit: '%',
+            label: 'Commanded Evaporative Purge',
+            min: 0, max: 100
+        },
+        EVAP_VAPOR_PRESSURE: {
+            code: '0132',
+            parse: (bytes) => {
+                const raw = word(bytes);
+                if (raw === null) return null;
+                return (raw > 32767 ? raw - 65536 : raw) / 4;
+            },
+            unit: 'Pa',
+            label: 'Evap System Vapor Pressure',
+            min: -8192, max: 8191.75
+        },
+        EVAP_ABS_PRESSURE: {
+            code: '0153',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) / 200 : null,
+            unit: 'kPa',
+            label: 'Absolute Evap System Vapor Pressure',
+            min: 0, max: 327.675
+        },
+        EVAP_VAPOR_PRESSURE_WIDE: {
+            code: '0154',
+            parse: (bytes) => word(bytes) !== null ? word(bytes) - 32767 : null,
+            unit: 'Pa',
+            label: 'Evap System Vapor Pressure (Wide Range)',
+            min: -32767, max: 32768
+        },
+        
+        // Catalyst Temperatures
+        CATALYST_TEMP_B1S1: {
+            code: '013C',
+            parse: catalystTemp,
+            unit: '°C',
+            label: 'Catalyst Temperature Bank 1 Sensor 1',
+            min: -40, max: 6513.5
+        },
+        CATALYST_TEMP_B2S1: {
+            code: '013D',
+            parse: catalystTemp,
+            unit: '°C',
+            label: 'Catalyst Temperature Bank 2 Sensor 1',
+            min: -40, max: 6513.5
+        },
+        CATALYST_TEMP_B1S2: {
+            code: '013E',
+            parse: catalystTemp,
+            unit: '°C',
+            label: 'Catalyst Temperature Bank 1 Sensor 2',
+            min: -40, max: 6513.5
+        },
+        CATALYST_TEMP_B2S2: {
+            code: '013F',
+            parse: catalystTemp,
+            unit: '°C',
+            label: 'Catalyst Temperature Bank 2 Sensor 2',
+            min: -40, max: 6513.5
+        },
+        
+        // Diagnostic Counters
+        DISTANCE_WITH_MIL: {
+            code: '0121',
+            parse: word,
+            unit: 'km',
+            label: 'Distance Traveled With MIL On',
+            min: 0, max: 65535
+        },
+        WARMUPS_SINCE_CLEAR: {
+            code: '0130',
+            parse: (bytes) => bytes ? bytes[0] : null,
+            unit: '',
+            label: 'Warm-ups Since Codes Cleared',
+            min: 0, max: 255
+        },
+        DISTANCE_SINCE_CLEAR: {
+            code: '0131',
+            parse: word,
+            unit: 'km',
+            label: 'Distance Since Codes Cleared',
+            min: 0, max: 65535
+        },
+        TIME_WITH_MIL: {
+            code: '014D',
+            parse: word,
+            unit: 'min',
+            label: 'Time Run With MIL On',
+            min: 0, max: 65535
+        },
+        TIME_SINCE_CLEAR: {
+            code: '014E',
+            parse: word,
+            unit: 'min',
+            label: 'Time Since Codes Cleared',
+            min: 0, max: 65535
+        },
+        SECONDARY_AIR_STATUS: {
+            code: '0112',
+            parse: lookup({
+                1: 'Upstream',
+                2: 'Downstream of catalyst',
+                4: 'From outside atmosphere / off',
+                8: 'Pump on for diagnostics'
+            }),
+            unit: '',
+            label: 'Commanded Secondary Air Status',
+            min: null, max: null
+        },
+        OBD_STANDARD: {
+            code: '011C',
+            parse: lookup({
+                1: 'OBD-II (CARB)', 2: 'OBD (EPA)', 3: 'OBD and OBD-II', 4: 'OBD-I',
+                5: 'Not OBD compliant', 6: 'EOBD (Europe)', 7: 'EOBD and OBD-II',
+                8: 'EOBD and OBD', 9: 'EOBD, OBD and OBD-II', 10: 'JOBD (Japan)',
+                11: 'JOBD and OBD-II', 12: 'JOBD and EOBD', 13: 'JOBD, EOBD and OBD-II',
+                17: 'EMD', 18: 'EMD+', 19: 'HD OBD-C', 20: 'HD OBD',
+                21: 'WWH OBD', 23: 'HD EOBD-I', 24: 'HD EOBD-I N',
+                25: 'HD EOBD-II', 26: 'HD EOBD-II N', 28: 'OBDBr-1', 29: 'OBDBr-2',
+                30: 'KOBD (Korea)', 31: 'IOBD I (India)', 32: 'IOBD II (India)', 33: 'HD EOBD-IV'
+            }),
+            unit: '',
+            label: 'OBD Standard',
+            min: null, max: null
+        },
+        HYBRID_BATTERY_LIFE: {
+            code: '015B',
+            parse: percent,
+            unit: '%',
+            label: 'Hybrid Battery Pack Remaining Life',
+            min: 0, max: 100
         }
     };
 
+    // Wideband O2 sensors 1-8: lambda (PIDs 24-2B) and current (PIDs 34-3B)
+    for (let sensor = 1; sensor <= 8; sensor++) {
+        window.PIDS[`O2_S${sensor}_LAMBDA`] = {
+            code: '01' + (0x23 + sensor).toString(16).toUpperCase(),
+            parse: lambda,
+            unit: 'λ',
+            label: `O2 Sensor ${sensor} Wideband Lambda`,
+            min: 0, max: 2
+        };
+        window.PIDS[`O2_S${sensor}_CURRENT`] = {
+            code: '01' + (0x33 + sensor).toString(16).toUpperCase(),
+            parse: o2Current,
+            unit: 'mA',
+            label: `O2 Sensor ${sensor} Wideband Current`,
+            min: -128, max: 128
+        };
+    }
+
+    /**
+     * Find a PID definition by its request code
+     * @param {string} code - Request code like "010C"
+     * @returns {Object|null} - PID definition including its key, or null
+     */
+    window.getPIDByCode = (code) => {
+        const clean = (code || '').toUpperCase();
+        const key = Object.keys(window.PIDS).find(k => window.PIDS[k].code === clean);
+        return key ? { key, ...window.PIDS[key] } : null;
+    };
+
     // ========================================================================
     // DIAGNOSTIC TROUBLE CODES (DTCs) - Error code translations
     // ========================================================================
     // Format: 'CODE': 'Human-readable description'
     // P = Powertrain, C = Chassis, B = Body, U = Network
+    // Built-in fallback - core/dtcdb.js merges the full set from data/dtc/
+    // and fills DTC_MANUFACTURER_DB with the pack for the identified make.
+
+    window.DTC_MANUFACTURER_DB = {};
     
     window.DTC_DB = {
         // Fuel & Air Metering
@@ -189,35 +706,324 @@
         'C0040': 'Right Front Wheel Speed Circuit Malfunction'
     };
 
+    // ========================================================================
+    // RESPONSE FRAMER - ISO 15765-2 (ISO-TP) reassembly
+    // ========================================================================
+    // The ELM327 prints one line per CAN frame (or per K-line message).
+    // With ATH1 every line starts with the sender's header:
+    //   7E8 10 14 49 02 01 31 47 31   <- First Frame (PCI 1x, 0x014 bytes)
+    //   7E8 21 4A 43 35 34 34 34 52   <- Consecutive Frame #1
+    //   7E9 03 41 0D 00               <- Single Frame from a second ECU
+    // Lines are grouped by header and the PCI byte is used to stitch the
+    // payload back together, so plugins only ever see service data bytes.
+
+    // Key used when the adapter prints no header (ATH0 / demo strings)
+    const NO_HEADER = 'ECU';
+
+    /**
+     * Split one response line into header and data hex
+     * @param {string} line - Single line, spaces already removed
+     * @returns {{header: string, data: string, can: boolean, legacy: boolean}}
+     */
+    const splitHeader = (line) => {
+        // 29-bit CAN: 18 DA F1 xx (physical response to tester F1)
+        if (/^18D[AB]F1[0-9A-F]{2}/.test(line) && line.length > 10) {
+            return { header: line.substring(0, 8), data: line.substring(8), can: true, legacy: false };
+        }
+        // 11-bit CAN: three hex digits then whole bytes, e.g. 7E8 03 41 0D 00
+        if (line.length % 2 === 1 && line.length >= 5) {
+            return { header: line.substring(0, 3), data: line.substring(3), can: true, legacy: false };
+        }
+        // J1850 / ISO 9141: 48 6B xx ... cs   KWP2000: 8x F1 xx ... cs
+        if (/^(48|68)6B[0-9A-F]{2}/.test(line) || /^8[0-9A-F]F1[0-9A-F]{2}/.test(line)) {
+            return {
+                header: line.substring(4, 6),
+                data: line.substring(6, line.length - 2), // drop checksum
+                can: false,
+                legacy: true
+            };
+        }
+        return { header: NO_HEADER, data: line, can: false, legacy: false };
+    };
+
+    const toBytes = (hex) => {
+        const pairs = hex.match(/[0-9A-F]{2}/g);
+        return pairs ? pairs.map(p => parseInt(p, 16)) : [];
+    };
+
+    /**
+     * Frame a raw ELM327 response into one payload per ECU
+     * @param {string} raw - Raw multi-line response (prompt already removed)
+     * @returns {Object<string, number[]>} - e.g. { '7E8': [0x49, 0x02, 0x01, ...] }
+     */
+    window.frameOBDResponse = (raw) => {
+        const ecus = {};
+        if (!raw) return ecus;
+
+        const lines = raw.toUpperCase()
+            .split(/[\r\n]+/)
+            .map(l => l.replace(/\s+/g, ''))
+            .filter(l => l.length > 0);
+
+        // Per-ECU reassembly state
+        const state = {};
+        const stateFor = (header) => {
+            if (!state[header]) state[header] = { bytes: [], expected: null, nextSeq: 1, messages: 0 };
+            return state[header];
+        };
+
+        for (const line of lines) {
+            // Headerless multi-frame (ATH0): "014" length line, then "0:..." "1:..."
+            const indexed = line.match(/^([0-9A-F]):([0-9A-F]+)$/);
+            if (indexed) {
+                stateFor(NO_HEADER).bytes.push(...toBytes(indexed[2]));
+                continue;
+            }
+            if (/^[0-9A-F]{3}$/.test(line)) {
+                stateFor(NO_HEADER).expected = parseInt(line, 16);
+                continue;
+            }
+
+            // Skip status chatter: SEARCHING..., BUS INIT: ...OK, STOPPED
+            if (!/^[0-9A-F]+$/.test(line)) continue;
+
+            const { header, data, can, legacy } = splitHeader(line);
+            const bytes = toBytes(data);
+            if (bytes.length === 0) continue;
+
+            const ecu = stateFor(header);
+
+            if (!can) {
+                // K-line ECUs repeat the service byte on every message
+                if (legacy && ecu.messages > 0 && bytes[0] === ecu.bytes[0]) bytes.shift();
+                ecu.bytes.push(...bytes);
+                ecu.messages++;
+                continue;
+            }
+
+            const pci = bytes[0] >> 4;
+            if (pci === 0) {
+                // Single Frame: low nibble is the payload length
+                const len = bytes[0] & 0x0F;
+                ecu.bytes = bytes.slice(1, 1 + len);
+                ecu.expected = len;
+            } else if (pci === 1) {
+                // First Frame: 12-bit total length
+                ecu.expected = ((bytes[0] & 0x0F) << 8) | bytes[1];
+                ecu.bytes = bytes.slice(2);
+                ecu.nextSeq = 1;
+            } else if (pci === 2) {
+                // Consecutive Frame: sequence number wraps 0-F
+                const seq = bytes[0] & 0x0F;
+                if (seq !== ecu.nextSeq) {
+                    System.log('PIDs', `ISO-TP sequence gap from ${header}: expected ${ecu.nextSeq}, got ${seq}`);
+                }
+                ecu.bytes.push(...bytes.slice(1));
+                ecu.nextSeq = (seq + 1) & 0x0F;
+            }
+            // PCI 3 (Flow Control) carries no payload
+        }
+
+        Object.keys(state).forEach(header => {
+            const { bytes, expected } = state[header];
+            // Drop CAN padding (AA/55/00) beyond the declared length
+            ecus[header] = expected !== null ? bytes.slice(0, expected) : bytes;
+        });
+
+        return ecus;
+    };
+
     // ========================================================================
     // HELPER UTILITIES
     // ========================================================================
-    
+
+    /**
+     * Replies that carry no data: NO DATA, '?' and CAN/BUS/... ERROR
+     */
+    const isRejectedResponse = (hex) => !hex || hex.includes('NO DATA') || hex.includes('?') || hex.includes('ERROR');
+
     /**
      * Parse raw ELM327 response into byte array
-     * @param {string} hex - Raw response like "41 0C 1A F8"
+     * @param {string} hex - Raw response like "7E8 04 41 0C 1A F8"
      * @param {string} expectedMode - Expected mode like "410C"
-     * @returns {number[]|null} - Byte array or null if invalid
+     * @returns {number[]|null} - Data bytes after the mode echo, or null if invalid
      */
     window.parseOBDResponse = (hex, expectedMode) => {
-        if (!hex || hex.includes('NO DATA') || hex.includes('?') || hex.includes('ERROR')) {
-            return null;
-        }
-        
-        // Clean response: remove spaces, headers, and mode echo
-        let clean = hex.replace(/\s+/g, '').toUpperCase();
-        
-        // Remove headers (e.g., "7E8" or "48 6B 10") - they vary by vehicle
-        clean = clean.replace(/^[0-9A-F]{2,3}/, '');
-        
-        // Remove the mode echo
-        if (expectedMode) {
-            clean = clean.replace(expectedMode, '');
+        if (isRejectedResponse(hex)) return null;
+
+        const payloads = Object.values(window.frameOBDResponse(hex));
+        if (payloads.length === 0) return null;
+
+        if (!expectedMode) return payloads[0];
+
+        // Prefer the first ECU that actually answered this request
+        const echo = toBytes(expectedMode.toUpperCase());
+        const match = payloads.find(p => echo.every((b, i) => p[i] === b));
+        if (!match) return null;
+
+        const bytes = match.slice(echo.length);
+        return bytes.length > 0 ? bytes : null;
+    };
+
+    /**
+     * Parse raw ELM327 response into one byte array per responding ECU
+     * @param {string} hex - Raw response, possibly from several modules
+     * @param {string} expectedMode - Expected mode like "43" or "4101"
+     * @returns {Object<string, number[]>} - e.g. { '7E8': [...], '7E9': [...] }
+     */
+    window.parseOBDResponseByECU = (hex, expectedMode) => {
+        const result = {};
+        if (isRejectedResponse(hex)) return result;
+
+        const echo = expectedMode ? toBytes(expectedMode.toUpperCase()) : [];
+        const payloads = window.frameOBDResponse(hex);
+
+        Object.keys(payloads).forEach(ecu => {
+            const payload = payloads[ecu];
+            if (!echo.every((b, i) => payload[i] === b)) return;
+            result[ecu] = payload.slice(echo.length);
+        });
+        return result;
+    };
+
+    /**
+     * Decode a supported-PID bitmap (reply to PID 00, 20, 40 ...)
+     * @param {string} base - Bitmap PID like "00" or "20"
+     * @param {number[]} bytes - 4 data bytes, MSB of byte A = PID base+1
+     * @returns {string[]} - Supported PIDs as 2-digit hex, e.g. ['01', '04', '0C']
+     */
+    window.decodePIDBitmap = (base, bytes) => {
+        const pids = [];
+        if (!bytes || bytes.length < 4) return pids;
+
+        const offset = parseInt(base, 16);
+        for (let bit = 0; bit < 32; bit++) {
+            if (bytes[bit >> 3] & (0x80 >> (bit & 7))) {
+                pids.push((offset + bit + 1).toString(16).toUpperCase().padStart(2, '0'));
+            }
         }
-        
-        // Convert to byte array
-        const pairs = clean.match(/.{1,2}/g);
-        return pairs ? pairs.map(p => parseInt(p, 16)) : null;
+        return pids;
+    };
+
+    /**
+     * Ask whether the vehicle supports a PID before polling it
+     * @param {string} code - Request code like "0142"
+     * @returns {boolean} - Always true in demo mode or before discovery
+     */
+    window.isPIDSupported = (code) => {
+        if (window.isSimulating || !window.obd?.isSupported) return true;
+        return window.obd.isSupported(code);
+    };
+
+    // ========================================================================
+    // MULTI-PID RESPONSES - Splitting "41 0C xx xx 0D xx 05 xx"
+    // ========================================================================
+    // On CAN a Mode 01 request may carry up to six PIDs. The reply repeats
+    // each PID followed by its data, so the data length of every PID must
+    // be known to walk it. Lengths per SAE J1979; fuel trims 06-09 carry a
+    // second byte only when bank 3/4 exists.
+
+    const PID_DATA_LENGTHS = {
+        '00': 4, '01': 4, '02': 2, '03': 2, '04': 1, '05': 1, '06': [1, 2], '07': [1, 2],
+        '08': [1, 2], '09': [1, 2], '0A': 1, '0B': 1, '0C': 2, '0D': 1, '0E': 1, '0F': 1,
+        '10': 2, '11': 1, '12': 1, '13': 1, '14': 2, '15': 2, '16': 2, '17': 2,
+        '18': 2, '19': 2, '1A': 2, '1B': 2, '1C': 1, '1D': 1, '1E': 1, '1F': 2,
+        '20': 4, '21': 2, '22': 2, '23': 2, '24': 4, '25': 4, '26': 4, '27': 4,
+        '28': 4, '29': 4, '2A': 4, '2B': 4, '2C': 1, '2D': 1, '2E': 1, '2F': 1,
+        '30': 1, '31': 2, '32': 2, '33': 1, '34': 4, '35': 4, '36': 4, '37': 4,
+        '38': 4, '39': 4, '3A': 4, '3B': 4, '3C': 2, '3D': 2, '3E': 2, '3F': 2,
+        '40': 4, '41': 4, '42': 2, '43': 2, '44': 2, '45': 1, '46': 1, '47': 1,
+        '48': 1, '49': 1, '4A': 1, '4B': 1, '4C': 1, '4D': 2, '4E': 2, '4F': 4,
+        '50': 4, '51': 1, '52': 1, '53': 2, '54': 2, '55': 2, '56': 2, '57': 2,
+        '58': 2, '59': 2, '5A': 1, '5B': 1, '5C': 1, '5D': 2, '5E': 2, '5F': 1,
+        '60': 4, '61': 1, '62': 1, '63': 2, '80': 4, 'A0': 4, 'C0': 4
+    };
+
+    /**
+     * Can a PID go into a multi-PID request?
+     * Only when its data length is known - otherwise the reply cannot be
+     * walked past it and every PID after it in the batch would be lost
+     * @param {string} code - Request code like "010C"
+     */
+    window.isBatchablePID = (code) => PID_DATA_LENGTHS[code.substring(2).toUpperCase()] !== undefined;
+
+    /**
+     * Split a multi-PID Mode 01 reply into per-PID data bytes
+     * @param {string} hex - Raw response to e.g. "010C0D05"
+     * @param {string[]} pids - Requested PIDs as 2-digit hex, e.g. ['0C', '0D', '05']
+     * @returns {Object<string, number[]>} - e.g. { '0C': [0x1A, 0xF8], '0D': [0x32] }
+     */
+    window.splitMultiPIDResponse = (hex, pids) => {
+        const result = {};
+        if (isRejectedResponse(hex)) return result;
+
+        const wanted = pids.map(pid => parseInt(pid, 16));
+        const payloads = Object.values(window.frameOBDResponse(hex));
+
+        // Each ECU answers with the subset it supports; first answer wins
+        payloads.forEach(payload => {
+            if (payload[0] !== 0x41) return;
+
+            let i = 1;
+            while (i < payload.length) {
+                const pid = payload[i];
+                const key = pid.toString(16).toUpperCase().padStart(2, '0');
+                const lengths = [].concat(PID_DATA_LENGTHS[key] || []);
+                if (!wanted.includes(pid) || lengths.length === 0) break;
+
+                // Variable length: take the one that lands on the next PID (or the end)
+                const length = lengths.find(len => {
+                    const next = i + 1 + len;
+                    return next === payload.length || (next < payload.length && wanted.includes(payload[next]));
+                }) ?? lengths[0];
+
+                const data = payload.slice(i + 1, i + 1 + length);
+                if (data.length < length) break;
+                if (!result[key]) result[key] = data;
+                i += 1 + length;
+            }
+        });
+        return result;
+    };
+
+    // ========================================================================
+    // ECU ADDRESSES - Who answered the request
+    // ========================================================================
+    // 11-bit CAN responders are 7E8-7EF, 29-bit are 18 DA F1 xx,
+    // K-line ECUs identify themselves by a single source byte.
+
+    window.ECU_NAMES = {
+        // 11-bit CAN
+        '7E8': 'Engine Control Module (ECM)',
+        '7E9': 'Transmission Control Module (TCM)',
+        '7EA': 'Hybrid / Auxiliary Controller',
+        '7EB': 'Auxiliary Module #4',
+        '7EC': 'Auxiliary Module #5',
+        '7ED': 'Auxiliary Module #6',
+        '7EE': 'Auxiliary Module #7',
+        '7EF': 'Auxiliary Module #8',
+
+        // 29-bit CAN
+        '18DAF110': 'Engine Control Module (ECM)',
+        '18DAF118': 'Transmission Control Module (TCM)',
+        '18DAF11A': 'Hybrid / Auxiliary Controller',
+
+        // K-line / J1850
+        '10': 'Engine Control Module (ECM)',
+        '11': 'Engine Control Module (ECM)',
+        '18': 'Transmission Control Module (TCM)',
+
+        // No header reported by the adapter
+        'ECU': 'Vehicle ECU'
+    };
+
+    /**
+     * Human name for an ECU response address
+     * @param {string} address - Header like "7E8", "18DAF110" or "10"
+     * @returns {string} - e.g. "Engine Control Module (ECM)"
+     */
+    window.getECUName = (address) => {
+        return window.ECU_NAMES[address] || `Module ${address}`;
     };
 
     /**
@@ -237,7 +1043,67 @@
         };
         
         const prefix = prefixMap[firstDigit] || 'P0';
-        return prefix + hex.substring(1);
+        return prefix + hex.substring(1).toUpperCase();
+    };
+
+    // First letter of a DTC -> vehicle system
+    window.DTC_SYSTEMS = {
+        P: 'Powertrain',
+        C: 'Chassis',
+        B: 'Body',
+        U: 'Network'
+    };
+
+    // Severity hints, first match wins. Deliberately coarse - the exact
+    // urgency depends on the vehicle, this only points the driver the right way.
+    const DTC_SEVERITY = [
+        { match: /^P1000$/,     level: 'info',   hint: 'Monitors still running - not a fault' },
+        { match: /^P03/,        level: 'high',   hint: 'Misfire - can overheat the catalytic converter, avoid hard driving' },
+        { match: /^P0[789]/,    level: 'high',   hint: 'Transmission - may go into limp mode' },
+        { match: /^P06/,        level: 'high',   hint: 'Control module fault - have it checked soon' },
+        { match: /^C/,          level: 'high',   hint: 'Chassis - may affect ABS, traction or stability control' },
+        { match: /^U0/,         level: 'high',   hint: 'Module offline - other systems may be affected' },
+        { match: /^P04/,        level: 'low',    hint: 'Emission control - usually safe to drive, fails inspection' },
+        { match: /^P0[12]/,     level: 'medium', hint: 'Fuel / air metering - may raise consumption, check soon' },
+        { match: /^P0[05]/,     level: 'medium', hint: 'Sensor or idle control - check soon' },
+        { match: /^B/,          level: 'medium', hint: 'Body electrics - check soon, urgently if airbag related' }
+    ];
+
+    /**
+     * Is the code defined by SAE J2012 (same meaning on every car)?
+     * P0, P2, P34-P39, B0, C0, U0 and the x3 ranges are generic,
+     * everything else belongs to the manufacturer.
+     */
+    const isGenericDTC = (code) => {
+        const [system, d1, d2] = code;
+        if (system === 'P') return d1 === '0' || d1 === '2' || (d1 === '3' && d2 >= '4');
+        return d1 === '0' || d1 === '3';
+    };
+
+    /**
+     * Everything the UI shows about a DTC
+     * @param {string} code - Formatted DTC like "P0300"
+     * @returns {Object} - { code, description, known, system, generic, classification, severity, hint }
+     */
+    window.describeDTC = (code) => {
+        const clean = (code || '').toUpperCase();
+        const generic = isGenericDTC(clean);
+        // Manufacturer codes mean different things per make - the pack wins
+        const description = (!generic && window.DTC_MANUFACTURER_DB[clean]) || window.DTC_DB[clean];
+        const rule = DTC_SEVERITY.find(r => r.match.test(clean));
+
+        return {
+            code: clean,
+            known: !!description,
+            description: description || (generic
+                ? 'Generic code - not in the local database'
+                : 'Manufacturer-specific code - see the service manual'),
+            system: window.DTC_SYSTEMS[clean[0]] || 'Unknown',
+            generic,
+            classification: generic ? 'Generic (SAE)' : 'Manufacturer-specific',
+            severity: rule ? rule.level : 'medium',
+            hint: rule ? rule.hint : 'Have it checked soon'
+        };
     };
 
     System.log('PIDs', `✓ Database loaded: ${Object.keys(window.PIDS).length} PIDs, ${Object.keys(window.DTC_DB).length} DTCs`);
@@ -0,0 +1,327 @@
+/**
+ * Gnokestation Poll Scheduler v1.0
+ * Single owner of live-data polling on the adapter
+ *
+ * Plugins subscribe to PIDs with a desired interval and priority instead
+ * of running their own timers. The scheduler:
+ * - Polls each PID once no matter how many plugins want it
+ * - Measures adapter round-trip time and fits the plan to that budget
+ * - Packs due PIDs into multi-PID requests when the bus is CAN
+ * - Serves high priority PIDs first, stretches the rest when saturated
+ * - Reports achieved Hz per PID
+ *
+ * Demo mode polls nothing - each subscriber's simulate() runs on its interval.
+ */
+
+(() => {
+    const PRIORITY = { high: 3, normal: 2, low: 1 };
+    const MAX_STRETCH = 10000;   // Starved PIDs still refresh at least every 10s
+    const HEADROOM = 0.85;       // Leave room for one-shot reads (DTC, VIN...)
+    const LOWER_SHARE = 0.25;    // Capacity a busy group leaves for lower priorities
+    const RATE_WINDOW = 5000;    // Achieved Hz is averaged over this window
+    const MAX_FAILURES = 3;      // Consecutive failed reads before a PID is dropped
+    const IDLE_DELAY = 100;
+
+    const SchedulerApp = {
+        id: 'scheduler',
+        PRIORITY,
+        subscriptions: {},
+        state: {},          // Per-PID { lastPoll, value, samples, failures }
+        plan: {},           // Per-PID { interval, effective, priority }
+        dropped: new Set(), // PIDs that stopped answering this session
+        roundTrip: null,    // Smoothed ms per PID read
+        timer: null,
+        lastStatsRender: 0,
+
+        init() {
+            System.log('Scheduler', 'Initializing poll scheduler...');
+            this.loop();
+            System.log('Scheduler', '✓ Ready');
+        },
+
+        /**
+         * Register interest in a set of PIDs
+         * @param {Object} sub
+         *   id        Unique owner id (re-subscribing replaces it and gives
+         *             any dropped PIDs in the list another chance)
+         *   pids      PID keys from window.PIDS
+         *   interval  Desired ms between reads of each PID
+         *   priority  'high' | 'normal' | 'low'
+         *   when      Optional () => bool, polling pauses while false
+         *   onData    Called with { KEY: value|null } once every PID was refreshed
+         *   simulate  Optional, called on the interval in demo mode instead
+         */
+        subscribe(sub) {
+            sub.pids.forEach(key => {
+                if (!this.dropped.delete(key)) return;
+                if (this.state[key]) this.state[key].failures = 0;
+                System.log('Scheduler', `${PIDS[key]?.label || key} re-admitted to poll plan`);
+            });
+            this.subscriptions[sub.id] = {
+                priority: 'normal',
+                when: () => true,
+                ...sub,
+                pids: [...new Set(sub.pids)].filter(key => PIDS[key]),
+                fresh: new Set(),
+                lastSimulated: 0
+            };
+        },
+
+        unsubscribe(id) {
+            delete this.subscriptions[id];
+        },
+
+        /**
+         * Main loop - one request at a time, then schedule the next step
+         */
+        async loop() {
+            let delay = IDLE_DELAY;
+            try {
+                if (window.isSimulating) {
+                    delay = this.stepSimulation();
+                } else if (window.obd?.connected && window.obd.sendCommand) {
+                    delay = await this.step();
+                }
+            } catch (err) {
+                System.log('Scheduler', `Step error: ${err.message}`);
+            }
+
+            this.renderStats();
+            this.timer = setTimeout(() => this.loop(), delay);
+        },
+
+        activeSubscriptions() {
+            return Object.values(this.subscriptions).filter(sub => {
+                try {
+                    return sub.when();
+                } catch (err) {
+                    return false;
+                }
+            });
+        },
+
+        stepSimulation() {
+            const now = Date.now();
+            this.activeSubscriptions().forEach(sub => {
+                if (!sub.simulate || now - sub.lastSimulated < sub.interval) return;
+                sub.lastSimulated = now;
+                sub.simulate();
+            });
+            return 50;
+        },
+
+        async step() {
+            const subs = this.activeSubscriptions();
+            this.buildPlan(subs);
+
+            // Earliest deadline first over the effective intervals
+            const now = Date.now();
+            const queue = Object.keys(this.plan)
+                .map(key => ({ key, due: (this.state[key]?.lastPoll || 0) + this.plan[key].effective }))
+                .sort((a, b) => a.due - b.due || this.plan[b.key].priority - this.plan[a.key].priority);
+
+            if (queue.length === 0) return IDLE_DELAY;
+            if (queue[0].due > now) return Math.min(queue[0].due - now, IDLE_DELAY);
+
+            // On CAN, top up the request with PIDs that are nearly due anyway.
+            // A PID of unknown data length goes alone - it cannot be split out of a batch
+            const size = window.obd.batchSize?.() || 1;
+            const batchable = (key) => window.isBatchablePID(PIDS[key].code);
+            const batch = !batchable(queue[0].key) ? [queue[0].key] : queue
+                .filter(({ key, due }) => batchable(key) && due <= now + this.plan[key].effective / 2)
+                .slice(0, size)
+                .map(({ key }) => key);
+
+            await this.poll(batch);
+            batch.forEach(key => this.notify(subs, key));
+            return 0;
+        },
+
+        /**
+         * Work out an effective interval for every wanted PID
+         * Capacity is handed out by priority; a group that does not fit
+         * is slowed down proportionally and lower groups get the floor rate.
+         */
+        buildPlan(subs) {
+            const wanted = {};
+            subs.forEach(sub => {
+                const priority = PRIORITY[sub.priority] || PRIORITY.normal;
+                sub.pids.forEach(key => {
+                    if (this.dropped.has(key) || !window.isPIDSupported(PIDS[key].code)) return;
+                    const entry = wanted[key] || (wanted[key] = { interval: sub.interval, priority });
+                    entry.interval = Math.min(entry.interval, sub.interval);
+                    entry.priority = Math.max(entry.priority, priority);
+                });
+            });
+
+            const roundTrip = this.roundTrip || ((window.obd.minCommandDelay || 150) + 50) / (window.obd.batchSize?.() || 1);
+            let capacity = (1000 / roundTrip) * HEADROOM; // PID reads per second
+
+            const demandOf = (keys) => keys.reduce((sum, key) => sum + 1000 / wanted[key].interval, 0);
+
+            [PRIORITY.high, PRIORITY.normal, PRIORITY.low].forEach(level => {
+                const group = Object.keys(wanted).filter(key => wanted[key].priority === level);
+                const demand = demandOf(group);
+                const lowerDemand = demandOf(Object.keys(wanted).filter(key => wanted[key].priority < level));
+
+                // Keep a share back so lower priorities are slowed, not starved
+                const share = lowerDemand > 0 ? capacity * (1 - LOWER_SHARE) : capacity;
+                const scale = demand > 0 ? Math.min(1, share / demand) : 1;
+
+                group.forEach(key => {
+                    const { interval } = wanted[key];
+                    wanted[key].effective = scale > 0
+                        ? Math.min(interval / scale, Math.max(interval, MAX_STRETCH))
+                        : Math.max(interval, MAX_STRETCH);
+                });
+                capacity = Math.max(0, capacity - demand * scale);
+            });
+
+            this.plan = wanted;
+        },
+
+        /**
+         * Read a batch of PIDs and record timing for the throughput estimate
+         * roundTrip is kept per PID, so batching shows up as extra capacity
+         */
+        async poll(keys) {
+            const started = Date.now();
+            const codes = keys.map(key => PIDS[key].code);
+            keys.forEach(key => {
+                if (!this.state[key]) this.state[key] = { lastPoll: 0, value: null, samples: [], failures: 0 };
+                this.state[key].lastPoll = started;
+            });
+
+            let results = {};
+            if (window.obd.requestPIDs) {
+                results = await window.obd.requestPIDs(codes);
+            } else {
+                for (const code of codes) {
+                    try {
+                        const raw = await window.obd.sendCommand(code);
+                        results[code] = window.parseOBDResponse(raw, '41' + code.substring(2));
+                    } catch (err) {
+                        results[code] = null;
+                    }
+                }
+            }
+
+            // Link dropped mid-request - not the PIDs' fault, the kernel is reconnecting
+            if (!window.obd?.connected) return;
+
+            const perPID = (Date.now() - started) / keys.length;
+            this.roundTrip = this.roundTrip ? this.roundTrip * 0.8 + perPID * 0.2 : perPID;
+
+            keys.forEach(key => {
+                const def = PIDS[key];
+                const state = this.state[key];
+                const value = def.parse(results[def.code] || null);
+
+                if (value !== null) {
+                    state.value = value;
+                    state.failures = 0;
+                    state.samples.push(Date.now());
+                    state.samples = state.samples.filter(t => Date.now() - t < RATE_WINDOW);
+                    return;
+                }
+
+                state.value = null;
+                state.failures++;
+                if (state.failures >= MAX_FAILURES) {
+                    this.dropped.add(key);
+                    System.log('Scheduler', `⚠️ ${def.label} (${def.code}) not responding - removed from poll plan`);
+                }
+            });
+        },
+
+        /**
+         * Hand values to every subscriber whose PIDs have all been refreshed
+         */
+        notify(subs, key) {
+            subs.forEach(sub => {
+                if (!sub.pids.includes(key)) return;
+                sub.fresh.add(key);
+
+                const pending = sub.pids.filter(k => this.plan[k] && !sub.fresh.has(k));
+                if (pending.length > 0) return;
+
+                sub.fresh.clear();
+                const values = {};
+                sub.pids.forEach(k => {
+                    values[k] = this.plan[k] ? (this.state[k]?.value ?? null) : null;
+                });
+
+                try {
+                    sub.onData(values);
+                } catch (err) {
+                    System.log('Scheduler', `${sub.id} handler error: ${err.message}`);
+                }
+            });
+        },
+
+        /**
+         * Achieved vs. requested rate for every PID in the current plan
+         */
+        getStats() {
+            const now = Date.now();
+            return Object.keys(this.plan).map(key => {
+                const samples = (this.state[key]?.samples || []).filter(t => now - t < RATE_WINDOW);
+                return {
+                    key,
+                    label: PIDS[key].label,
+                    targetHz: 1000 / this.plan[key].interval,
+                    plannedHz: 1000 / this.plan[key].effective,
+                    achievedHz: samples.length / (RATE_WINDOW / 1000)
+                };
+            });
+        },
+
+        renderStats() {
+            const container = document.getElementById('sched-stats');
+            if (!container || !document.getElementById('config')?.classList.contains('active')) return;
+            if (Date.now() - this.lastStatsRender < 1000) return;
+            this.lastStatsRender = Date.now();
+
+            const stats = this.getStats();
+            if (stats.length === 0) {
+                container.innerHTML = `<p class="hint">${window.isSimulating
+                    ? 'Demo mode - no adapter polling.'
+                    : 'Nothing is being polled right now.'}</p>`;
+                return;
+            }
+
+            const rows = stats.map(s => `
+                <tr>
+                    <td>${s.label}</td>
+                    <td>${s.targetHz.toFixed(1)}</td>
+                    <td>${s.plannedHz.toFixed(1)}</td>
+                    <td style="color:${s.achievedHz < s.plannedHz * 0.7 ? 'var(--orange)' : 'var(--green)'};">${s.achievedHz.toFixed(1)}</td>
+                </tr>
+            `).join('');
+
+            container.innerHTML = `
+                <table class="info-table">
+                    <tr><th>PID</th><th>Wanted Hz</th><th>Planned Hz</th><th>Achieved Hz</th></tr>
+                    ${rows}
+                </table>
+                <p class="hint">
+                    Adapter time per PID: ${this.roundTrip ? Math.round(this.roundTrip) + ' ms' : 'measuring...'}
+                    ${(window.obd?.batchSize?.() || 1) > 1 ? ' · multi-PID requests on' : ''}
+                </p>`;
+        },
+
+        /**
+         * Forget per-connection state; subscriptions survive a reconnect
+         */
+        shutdown() {
+            this.state = {};
+            this.plan = {};
+            this.dropped = new Set();
+            this.roundTrip = null;
+            Object.values(this.subscriptions).forEach(sub => sub.fresh.clear());
+        }
+    };
+
+    window.System.activeApps.scheduler = SchedulerApp;
+    SchedulerApp.init();
+})();
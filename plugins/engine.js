@@ -18,20 +18,9 @@
 (() => {
     const EngineApp = {
         id: 'engine',
-        updateInterval: null,
         pollingRate: 200, // 5Hz for performance metrics
         isActive: false,
         
-        // Feature detection
-        supported: {
-            map: true,      // Manifold pressure
-            iat: true,      // Intake air temp
-            maf: true,      // Mass air flow
-            load: true,     // Engine load
-            timing: true,   // Ignition timing
-            baro: true      // Barometric pressure
-        },
-        
         // Performance tracking
         sessionData: {
             startTime: null,
@@ -53,9 +42,6 @@
         // Recent data for calculations
         recentData: [],
         maxRecentData: 50, // Keep last 5 seconds at 10Hz
-        
-        consecutiveErrors: 0,
-        maxErrors: 3,
 
         /**
          * Initialize module
@@ -63,120 +49,41 @@
         init() {
             System.log('Engine', 'Initializing Advanced Performance Monitor...');
             
-            this.updateInterval = setInterval(() => this.tick(), this.pollingRate);
+            // Always track performance data when active, but only update UI if view is visible
+            System.activeApps.scheduler.subscribe({
+                id: this.id,
+                pids: ['RPM', 'SPEED', 'ENGINE_LOAD', 'TIMING_ADVANCE', 'INTAKE_TEMP', 'MAF_RATE'],
+                interval: this.pollingRate,
+                priority: 'normal',
+                when: () => this.isActive,
+                onData: (values) => this.handleData(values),
+                simulate: () => this.handleData(null)
+            });
             this.resetSession();
             
             System.log('Engine', `✓ Ready (${this.pollingRate}ms polling)`);
         },
 
         /**
-         * Intelligent polling
+         * Scheduler delivered a fresh set of readings (null in demo mode)
          */
-        async tick() {
+        handleData(values) {
             const isEngineViewVisible = document.getElementById('engine-view')?.classList.contains('active');
-            const isConnected = window.obd?.connected || window.isSimulating;
-            
-            // Always track performance data when connected, but only update UI if view is visible
-            if (isConnected && this.isActive && this.consecutiveErrors < this.maxErrors) {
-                await this.update(isEngineViewVisible);
-            }
-        },
-
-        /**
-         * Main update cycle
-         */
-        async update(updateUI = true) {
-            if (window.isSimulating) {
-                const data = this.generateSimData();
-                this.trackPerformance(data);
-                if (updateUI) this.render(data);
-                return;
-            }
-
-            try {
-                const data = await this.fetchData();
-                if (data) {
-                    this.trackPerformance(data);
-                    if (updateUI) this.render(data);
-                    this.consecutiveErrors = 0;
-                }
-            } catch (err) {
-                this.consecutiveErrors++;
-                System.log('Engine', `Poll error (${this.consecutiveErrors}/${this.maxErrors})`);
-            }
-        },
-
-        /**
-         * Fetch all engine performance data
-         */
-        async fetchData() {
-            const data = {
-                rpm: null,
-                speed: null,
-                load: null,
-                timing: null,
-                iat: null,
-                maf: null,
+            const data = values ? {
+                rpm: values.RPM,
+                speed: values.SPEED,
+                load: values.ENGINE_LOAD,
+                timing: values.TIMING_ADVANCE,
+                iat: values.INTAKE_TEMP,
+                maf: values.MAF_RATE,
+                // MAP and BARO are not polled - many vehicles don't support them
                 map: null,
                 baro: null,
                 timestamp: Date.now()
-            };
-
-            // Get RPM and Speed (always needed for calculations)
-            try {
-                const rpmRaw = await window.obd.sendCommand(PIDS.RPM.code);
-                data.rpm = PIDS.RPM.parse(window.parseOBDResponse(rpmRaw, '410C'));
-            } catch (err) {}
-
-            try {
-                const speedRaw = await window.obd.sendCommand(PIDS.SPEED.code);
-                data.speed = PIDS.SPEED.parse(window.parseOBDResponse(speedRaw, '410D'));
-            } catch (err) {}
-
-            // Engine Load
-            if (this.supported.load) {
-                try {
-                    const loadRaw = await window.obd.sendCommand(PIDS.ENGINE_LOAD.code);
-                    data.load = PIDS.ENGINE_LOAD.parse(window.parseOBDResponse(loadRaw, '4104'));
-                } catch (err) {
-                    this.supported.load = false;
-                }
-            }
-
-            // Timing Advance
-            if (this.supported.timing) {
-                try {
-                    const timingRaw = await window.obd.sendCommand(PIDS.TIMING_ADVANCE.code);
-                    data.timing = PIDS.TIMING_ADVANCE.parse(window.parseOBDResponse(timingRaw, '410E'));
-                } catch (err) {
-                    this.supported.timing = false;
-                }
-            }
+            } : this.generateSimData();
 
-            // Intake Air Temperature
-            if (this.supported.iat) {
-                try {
-                    const iatRaw = await window.obd.sendCommand(PIDS.INTAKE_TEMP.code);
-                    data.iat = PIDS.INTAKE_TEMP.parse(window.parseOBDResponse(iatRaw, '410F'));
-                } catch (err) {
-                    this.supported.iat = false;
-                }
-            }
-
-            // Mass Air Flow
-            if (this.supported.maf) {
-                try {
-                    const mafRaw = await window.obd.sendCommand(PIDS.MAF_RATE.code);
-                    data.maf = PIDS.MAF_RATE.parse(window.parseOBDResponse(mafRaw, '4110'));
-                } catch (err) {
-                    this.supported.maf = false;
-                }
-            }
-
-            // Note: MAP and BARO are manufacturer-specific PIDs (Mode 01, but varies)
-            // Many vehicles don't support these via standard OBD-II
-
-            return data;
+            this.trackPerformance(data);
+            if (isEngineViewVisible) this.render(data);
         },
 
         /**
@@ -449,12 +356,7 @@
          * Shutdown cleanup
          */
         shutdown() {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
-            }
             this.isActive = false;
-            this.consecutiveErrors = 0;
             this.recentData = [];
             System.log('Engine', 'Shutdown complete');
         }
@@ -18,6 +18,9 @@
  */
 
 (() => {
+    // Position 10 model year codes from 1980 (I, O, Q, U, Z and 0 are never used)
+    const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
     const VINApp = {
         id: 'vin',
         
@@ -28,6 +31,9 @@
             cvn: null,
             ecuName: null,
             
+            // Per-module Mode 09 replies keyed by ECU address
+            modules: {},
+            
             // Decoded VIN information
             manufacturer: null,
             country: null,
@@ -55,6 +61,7 @@
 
             try {
                 System.log('VIN', 'Reading vehicle information...');
+                this.vehicleInfo.modules = {};
                 
                 // Read VIN (Mode 09 PID 02)
                 await this.readVIN();
@@ -65,6 +72,7 @@
                 
                 this.decodeVIN();
                 this.render();
+                System.activeApps.dtcdb?.selectForManufacturer(this.vehicleInfo.manufacturer);
                 
                 System.log('VIN', `✓ Vehicle identified: ${this.vehicleInfo.vin}`);
                 
@@ -74,40 +82,51 @@
             }
         },
 
+        /**
+         * VIN of the connected vehicle, read quietly on first use
+         * Other apps (DTC history) key their records by it
+         * @returns {Promise<string|null>}
+         */
+        async identify() {
+            if (this.vehicleInfo.vin) return this.vehicleInfo.vin;
+
+            if (window.isSimulating) {
+                this.renderSimulatedVIN();
+                return this.vehicleInfo.vin;
+            }
+
+            try {
+                this.vehicleInfo.modules = {};
+                await this.readVIN();
+                this.decodeVIN();
+                this.render();
+                System.activeApps.dtcdb?.selectForManufacturer(this.vehicleInfo.manufacturer);
+                return this.vehicleInfo.vin;
+            } catch (err) {
+                return null;
+            }
+        },
+
         /**
          * Read VIN (Mode 09 PID 02)
+         * Every module that answers reports its own copy of the VIN
          */
         async readVIN() {
             try {
                 // Request VIN - Mode 09, PID 02
-                const raw = await window.obd.sendCommand('0902');
-                
-                // Parse response
-                // Format: 49 02 01 [VIN bytes] 49 02 02 [more VIN bytes] ...
-                // The VIN is sent in multiple frames
-                const bytes = window.parseOBDResponse(raw, '4902');
-                
-                if (!bytes || bytes.length < 17) {
-                    throw new Error('Invalid VIN response');
-                }
-                
-                // Extract VIN characters (skip frame headers)
-                let vin = '';
-                let dataIndex = 0;
+                // CAN: one ISO-TP message 49 02 01 [17 VIN bytes], reassembled by the framer
+                // K-line: five messages 49 02 0N [4 bytes], concatenated per ECU
+                const byECU = await window.obd.sendCommandByECU('0902', '4902');
                 
-                // VIN is typically in bytes after the header
-                // Skip the first 2 bytes (01 = frame number, count)
-                for (let i = 2; i < bytes.length && vin.length < 17; i++) {
-                    const byte = bytes[i];
-                    // VIN uses ASCII characters A-Z, 0-9
-                    if (byte >= 48 && byte <= 90 && byte !== 73 && byte !== 79 && byte !== 81) {
-                        // I, O, Q are not used in VINs
-                        vin += String.fromCharCode(byte);
-                    }
-                }
+                Object.keys(byECU).forEach(ecu => {
+                    const vin = this.extractVIN(byECU[ecu]);
+                    if (vin) this.moduleInfo(ecu).vin = vin;
+                });
                 
-                if (vin.length === 17) {
-                    this.vehicleInfo.vin = vin;
+                // Vehicle VIN comes from the first module that reported a valid one
+                const primary = Object.values(this.vehicleInfo.modules).find(m => m.vin);
+                if (primary) {
+                    this.vehicleInfo.vin = primary.vin;
                 } else {
                     throw new Error('VIN length invalid');
                 }
@@ -119,44 +138,83 @@
         },
 
         /**
-         * Read Calibration ID (Mode 09 PID 04)
+         * Extract a 17 character VIN from one module's payload
+         */
+        extractVIN(bytes) {
+            if (!bytes || bytes.length < 17) return null;
+            
+            // Extract VIN characters - message counters and
+            // zero padding fall outside the VIN character range
+            let vin = '';
+            
+            for (let i = 0; i < bytes.length && vin.length < 17; i++) {
+                const byte = bytes[i];
+                // VIN uses ASCII characters A-Z, 0-9
+                if (byte >= 48 && byte <= 90 && byte !== 73 && byte !== 79 && byte !== 81) {
+                    // I, O, Q are not used in VINs
+                    vin += String.fromCharCode(byte);
+                }
+            }
+            
+            return vin.length === 17 ? vin : null;
+        },
+
+        /**
+         * Extract printable ASCII text from a Mode 09 payload
+         */
+        extractText(bytes) {
+            if (!bytes || bytes.length < 2) return null;
+            
+            let text = '';
+            for (let i = 0; i < bytes.length; i++) {
+                if (bytes[i] >= 32 && bytes[i] <= 126) {
+                    text += String.fromCharCode(bytes[i]);
+                }
+            }
+            return text.trim() || null;
+        },
+
+        /**
+         * Get (or create) the info record for one responding module
+         */
+        moduleInfo(ecu) {
+            if (!this.vehicleInfo.modules[ecu]) {
+                this.vehicleInfo.modules[ecu] = { vin: null, calibrationID: null, ecuName: null };
+            }
+            return this.vehicleInfo.modules[ecu];
+        },
+
+        /**
+         * Read Calibration ID (Mode 09 PID 04) from every module
          */
         async readCalibrationID() {
             try {
-                const raw = await window.obd.sendCommand('0904');
-                const bytes = window.parseOBDResponse(raw, '4904');
+                const byECU = await window.obd.sendCommandByECU('0904', '4904');
                 
-                if (bytes && bytes.length > 2) {
-                    let calID = '';
-                    for (let i = 2; i < bytes.length; i++) {
-                        if (bytes[i] >= 32 && bytes[i] <= 126) {
-                            calID += String.fromCharCode(bytes[i]);
-                        }
-                    }
-                    this.vehicleInfo.calibrationID = calID.trim() || null;
-                }
+                Object.keys(byECU).forEach(ecu => {
+                    this.moduleInfo(ecu).calibrationID = this.extractText(byECU[ecu]);
+                });
+                
+                const primary = Object.values(this.vehicleInfo.modules).find(m => m.calibrationID);
+                this.vehicleInfo.calibrationID = primary ? primary.calibrationID : null;
             } catch (err) {
                 // Not supported, skip
             }
         },
 
         /**
-         * Read ECU Name (Mode 09 PID 0A)
+         * Read ECU Name (Mode 09 PID 0A) from every module
          */
         async readECUName() {
             try {
-                const raw = await window.obd.sendCommand('090A');
-                const bytes = window.parseOBDResponse(raw, '490A');
+                const byECU = await window.obd.sendCommandByECU('090A', '490A');
                 
-                if (bytes && bytes.length > 2) {
-                    let ecuName = '';
-                    for (let i = 2; i < bytes.length; i++) {
-                        if (bytes[i] >= 32 && bytes[i] <= 126) {
-                            ecuName += String.fromCharCode(bytes[i]);
-                        }
-                    }
-                    this.vehicleInfo.ecuName = ecuName.trim() || null;
-                }
+                Object.keys(byECU).forEach(ecu => {
+                    this.moduleInfo(ecu).ecuName = this.extractText(byECU[ecu]);
+                });
+                
+                const primary = Object.values(this.vehicleInfo.modules).find(m => m.ecuName);
+                this.vehicleInfo.ecuName = primary ? primary.ecuName : null;
             } catch (err) {
                 // Not supported, skip
             }
@@ -175,7 +233,7 @@
             this.vehicleInfo.country = this.getCountry(vin[0]);
 
             // Model Year (position 10)
-            this.vehicleInfo.year = this.getModelYear(vin[9]);
+            this.vehicleInfo.year = this.getModelYear(vin);
 
             // Plant Code (position 11)
             this.vehicleInfo.plant = vin[10];
@@ -308,23 +366,17 @@
 
         /**
          * Decode model year from position 10
+         * The code repeats every 30 years (A = 1980 and 2010). North American
+         * VINs resolve the cycle with position 7: a digit means 1980-2009,
+         * a letter 2010-2039. A year past next model year falls back a cycle.
          */
-        getModelYear(char) {
-            const yearCodes = {
-                'A': 1980, 'B': 1981, 'C': 1982, 'D': 1983, 'E': 1984,
-                'F': 1985, 'G': 1986, 'H': 1987, 'J': 1988, 'K': 1989,
-                'L': 1990, 'M': 1991, 'N': 1992, 'P': 1993, 'R': 1994,
-                'S': 1995, 'T': 1996, 'V': 1997, 'W': 1998, 'X': 1999,
-                'Y': 2000, '1': 2001, '2': 2002, '3': 2003, '4': 2004,
-                '5': 2005, '6': 2006, '7': 2007, '8': 2008, '9': 2009,
-                'A': 2010, 'B': 2011, 'C': 2012, 'D': 2013, 'E': 2014,
-                'F': 2015, 'G': 2016, 'H': 2017, 'J': 2018, 'K': 2019,
-                'L': 2020, 'M': 2021, 'N': 2022, 'P': 2023, 'R': 2024,
-                'S': 2025, 'T': 2026, 'V': 2027, 'W': 2028, 'X': 2029,
-                'Y': 2030
-            };
+        getModelYear(vin) {
+            const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+            if (index === -1) return 'Unknown';
 
-            return yearCodes[char] || 'Unknown';
+            let year = 1980 + index + (/[A-Z]/.test(vin[6]) ? 30 : 0);
+            if (year > new Date().getFullYear() + 1) year -= 30;
+            return year;
         },
 
         /**
@@ -388,36 +440,8 @@
                     </div>
                 </div>
 
-                <!-- ECU Information -->
-                ${info.calibrationID || info.ecuName ? `
-                    <div style="background: white; padding: 16px; border-radius: 8px; margin-bottom: 12px;">
-                        <div style="font-size: 12px; font-weight: 700; margin-bottom: 12px; text-transform: uppercase; opacity: 0.7;">
-                            ECU Information
-                        </div>
-                        
-                        ${info.calibrationID ? `
-                            <div style="margin-bottom: 12px;">
-                                <div style="font-size: 10px; font-weight: 600; opacity: 0.6; margin-bottom: 4px;">
-                                    CALIBRATION ID
-                                </div>
-                                <div style="font-size: 13px; font-family: monospace; color: var(--accent);">
-                                    ${info.calibrationID}
-                                </div>
-                            </div>
-                        ` : ''}
-                        
-                        ${info.ecuName ? `
-                            <div>
-                                <div style="font-size: 10px; font-weight: 600; opacity: 0.6; margin-bottom: 4px;">
-                                    ECU NAME
-                                </div>
-                                <div style="font-size: 13px; font-family: monospace; color: var(--accent);">
-                                    ${info.ecuName}
-                                </div>
-                            </div>
-                        ` : ''}
-                    </div>
-                ` : ''}
+                <!-- ECU Information (one block per responding module) -->
+                ${this.renderModules(info)}
 
                 <!-- VIN Decoder Link -->
                 <div style="background: rgba(52, 152, 219, 0.1); padding: 12px; border-radius: 6px; font-size: 11px; line-height: 1.5; color: #666;">
@@ -427,6 +451,48 @@
             `;
         },
 
+        /**
+         * Render per-module ECU information
+         */
+        renderModules(info) {
+            const modules = Object.keys(info.modules || {})
+                .filter(ecu => info.modules[ecu].calibrationID || info.modules[ecu].ecuName || info.modules[ecu].vin);
+            if (modules.length === 0) return '';
+
+            const field = (label, value) => value ? `
+                <div style="margin-bottom: 8px;">
+                    <div style="font-size: 10px; font-weight: 600; opacity: 0.6; margin-bottom: 4px;">
+                        ${label}
+                    </div>
+                    <div style="font-size: 13px; font-family: monospace; color: var(--accent);">
+                        ${value}
+                    </div>
+                </div>
+            ` : '';
+
+            return `
+                <div style="background: white; padding: 16px; border-radius: 8px; margin-bottom: 12px;">
+                    <div style="font-size: 12px; font-weight: 700; margin-bottom: 12px; text-transform: uppercase; opacity: 0.7;">
+                        ECU Information (${modules.length} module${modules.length > 1 ? 's' : ''})
+                    </div>
+                    ${modules.map(ecu => {
+                        const mod = info.modules[ecu];
+                        return `
+                            <div style="padding: 12px; background: rgba(0,0,0,0.02); border-radius: 6px; margin-bottom: 8px;">
+                                <div class="dtc-module">
+                                    <span>${window.getECUName(ecu)}</span>
+                                    <span class="dtc-module-addr">${ecu}</span>
+                                </div>
+                                ${field('CALIBRATION ID', mod.calibrationID)}
+                                ${field('ECU NAME', mod.ecuName)}
+                                ${mod.vin && mod.vin !== info.vin ? field('⚠️ VIN MISMATCH', mod.vin) : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        },
+
         /**
          * Render info card helper
          */
@@ -453,6 +519,10 @@
                 calibrationID: 'AAHONDA1.2.3',
                 cvn: null,
                 ecuName: 'ENGINE CONTROL MODULE',
+                modules: {
+                    '7E8': { vin: '2HGFC2F59KH123456', calibrationID: 'AAHONDA1.2.3', ecuName: 'ENGINE CONTROL MODULE' },
+                    '7E9': { vin: '2HGFC2F59KH123456', calibrationID: 'AAHONDAT0.9.1', ecuName: 'TRANSMISSION CONTROL' }
+                },
                 manufacturer: 'Honda',
                 country: 'Canada',
                 year: 2019,
@@ -461,6 +531,7 @@
             };
             
             this.render();
+            System.activeApps.dtcdb?.selectForManufacturer(this.vehicleInfo.manufacturer);
             System.log('VIN', '✓ Demo VIN loaded');
         },
 
@@ -496,6 +567,7 @@
                 serial: this.vehicleInfo.serial,
                 calibrationID: this.vehicleInfo.calibrationID,
                 ecuName: this.vehicleInfo.ecuName,
+                modules: this.vehicleInfo.modules,
                 exportDate: new Date().toISOString()
             };
             
@@ -515,6 +587,8 @@
          * Shutdown
          */
         shutdown() {
+            // The next connection may be a different vehicle - identify() reads it again
+            this.vehicleInfo.vin = null;
             System.log('VIN', 'Shutdown complete');
         }
     };
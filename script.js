@@ -17,6 +17,8 @@
 const PLUGINS = [
     'core/kernel.js',
     'core/pids.js',
+    'core/dtcdb.js',
+    'core/scheduler.js',
     'core/dashboard.js',
     'core/diagnostics.js',
     // Optional plugins:
@@ -24,7 +26,10 @@ const PLUGINS = [
      'apps/emissions.js',
      'apps/battery.js',
      'apps/readiness.js',
+     'apps/drivecycle.js',
+     'apps/inspection.js',
      'apps/freezeframe.js',
+     'apps/dtchistory.js',
      'plugins/vin.js',
      'apps/recorder.js',
      'plugins/engine.js',
@@ -62,13 +67,14 @@ window.System = {
         const mode = document.getElementById('mode').value;
         const connBtn = document.getElementById('conn-btn');
 
-        if (window.obd?.connected) {
+        if (window.obd?.connected || window.obd?.reconnecting) {
             await this.shutdown();
             return;
         }
 
         connBtn.disabled = true;
         connBtn.textContent = 'Connecting...';
+        this.watchLink();
 
         try {
             if (mode === 'demo') {
@@ -81,6 +87,7 @@ window.System = {
                 if (!System.activeApps.kernel) throw new Error('Kernel not loaded');
                 const success = await System.activeApps.kernel.connect('serial');
                 if (!success) throw new Error('Serial connection failed');
+                window.obd = System.activeApps.kernel;
                 this.updateStatus('CONNECTED (Serial)', 'green');
                 this.log('System', 'Hardware connected via Web Serial API');
             } else if (mode === 'ble') {
@@ -88,6 +95,7 @@ window.System = {
                 if (!System.activeApps.kernel) throw new Error('Kernel not loaded');
                 const success = await System.activeApps.kernel.connect('ble');
                 if (!success) throw new Error('BLE connection failed');
+                window.obd = System.activeApps.kernel;
                 this.updateStatus('CONNECTED (BLE)', 'green');
                 this.log('System', 'Hardware connected via Web Bluetooth API');
             }
@@ -104,6 +112,32 @@ window.System = {
         }
     },
 
+    /**
+     * Follow kernel link-loss recovery in the status bar (registered once)
+     * The poll scheduler resumes by itself once the kernel is connected again
+     */
+    watchLink() {
+        const kernel = this.activeApps.kernel;
+        if (!kernel?.on || this.linkWatched) return;
+        this.linkWatched = true;
+
+        kernel.on('disconnected', ({ reason }) => {
+            this.updateStatus('LINK LOST', 'var(--orange)');
+            this.log('System', `Connection lost (${reason}) - trying to recover`);
+        });
+        kernel.on('reconnecting', ({ attempt }) => {
+            this.updateStatus(`RECONNECTING (${attempt})`, 'var(--orange)');
+        });
+        kernel.on('reconnected', () => {
+            this.updateStatus(`CONNECTED (${kernel.transport === 'ble' ? 'BLE' : 'Serial'})`, 'green');
+            this.log('System', 'Connection restored - polling resumed');
+        });
+        kernel.on('reconnect-failed', () => {
+            this.log('Error', 'Adapter could not be reconnected');
+            this.shutdown();
+        });
+    },
+
     /**
      * Shutdown all active apps and disconnect hardware
      */
@@ -169,10 +203,12 @@ window.clearLog = function() {
 window.exportLog = function() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
     const filename = `gnokestation-log-${timestamp}.txt`;
+    const adapter = System.activeApps.kernel?.adapterInfo;
 
     const header = `Gnokestation OBD-II Diagnostic Log
 Generated: ${new Date().toLocaleString()}
 Mode: ${window.isSimulating ? 'Simulation' : 'Hardware'}
+Adapter: ${adapter ? `${adapter.stn || adapter.identity || 'unknown'}${adapter.clone ? ' (likely clone)' : ''}` : 'n/a'}
 Version: ${System.version}
 ========================================\n\n`;
 
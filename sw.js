@@ -13,7 +13,7 @@
  *            network-first for everything else (API calls, etc.)
  */
 
-const CACHE_NAME = 'gnoke-obd2-v1';   /* ← bump on every deploy */
+const CACHE_NAME = 'gnoke-obd2-v6';   /* ← bump on every deploy */
 
 const ASSETS = [
 
@@ -31,6 +31,8 @@ const ASSETS = [
   /* ── Core modules (always required) ──────────────────────── */
   './core/kernel.js',
   './core/pids.js',
+  './core/dtcdb.js',
+  './core/scheduler.js',
   './core/dashboard.js',
   './core/diagnostics.js',
 
@@ -39,7 +41,10 @@ const ASSETS = [
   './apps/emissions.js',
   './apps/battery.js',
   './apps/readiness.js',
+  './apps/drivecycle.js',
+  './apps/inspection.js',
   './apps/freezeframe.js',
+  './apps/dtchistory.js',
   './apps/recorder.js',
 
   /* ── Plugins ──────────────────────────────────────────────── */
@@ -47,6 +52,14 @@ const ASSETS = [
   './plugins/engine.js',
   './plugins/monitoring.js',
 
+  /* ── DTC code packs (fetched on demand, cached for offline) ─ */
+  './data/dtc/generic.json',
+  './data/dtc/toyota.json',
+  './data/dtc/ford.json',
+  './data/dtc/gm.json',
+  './data/dtc/vag.json',
+  './data/dtc/honda.json',
+
   /* ── sql.js CDN (WASM engine) ─────────────────────────────── */
   'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.2/sql-wasm.js',
   'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.2/sql-wasm.wasm',